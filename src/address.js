@@ -0,0 +1,167 @@
+/**
+ * Address Normalization & Listing De-duplication
+ *
+ * The same property can come back more than once: listed under both Temple
+ * and Belton, or taken down and relisted as "2307 South Wall Street" instead
+ * of "2307 S Wall St". This module reduces an address to a canonical key so
+ * those listings are recognised as one property:
+ *
+ * - lowercase, punctuation removed
+ * - street suffixes and directions abbreviated the USPS way (Street -> st,
+ *   North -> n)
+ * - unit designators (Apt, Unit, Suite, #) reduced to the unit number
+ *
+ * The key drives de-duplication, stable deal ids and the rent cache key.
+ */
+
+// USPS standard suffix abbreviations for the suffixes seen in Central Texas listings
+const SUFFIXES = {
+  alley: 'aly', avenue: 'ave', av: 'ave', boulevard: 'blvd', circle: 'cir', court: 'ct',
+  cove: 'cv', crossing: 'xing', drive: 'dr', expressway: 'expy', freeway: 'fwy',
+  highway: 'hwy', hollow: 'holw', lane: 'ln', loop: 'loop', parkway: 'pkwy', place: 'pl',
+  point: 'pt', ridge: 'rdg', road: 'rd', run: 'run', square: 'sq', street: 'st',
+  terrace: 'ter', trail: 'trl', way: 'way',
+};
+
+const DIRECTIONS = {
+  north: 'n', south: 's', east: 'e', west: 'w',
+  northeast: 'ne', northwest: 'nw', southeast: 'se', southwest: 'sw',
+};
+
+// "Apt 4", "Unit B", "Ste 200", "# 3" at the end of an address line
+const UNIT_PATTERN = /\s(?:apt|apartment|unit|ste|suite|bldg|building|lot|#)\s*#?\s*([a-z0-9-]+)$/;
+
+function clean(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/#/g, ' # ')
+    .replace(/[.,]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Split a street address into a normalized street and unit
+ *
+ * @param {string} line1 - Street address (e.g. "2307 South Wall Street Apt 4")
+ * @param {string} [line2] - Second address line (e.g. "Unit 4")
+ * @returns {Object} - { street, unit } where unit is '' when there is none
+ */
+function normalizeStreet(line1, line2) {
+  let street = clean(line1);
+  let unit = '';
+
+  const inline = ` ${street}`.match(UNIT_PATTERN);
+  if (inline) {
+    unit = inline[1];
+    street = ` ${street}`.slice(0, inline.index).trim();
+  }
+
+  const second = clean(line2);
+  if (second) {
+    const match = ` ${second}`.match(UNIT_PATTERN);
+    unit = match ? match[1] : second.replace(/\s+/g, '');
+  }
+
+  street = street
+    .split(' ')
+    .map(word => SUFFIXES[word] || DIRECTIONS[word] || word)
+    .join(' ');
+
+  return { street, unit };
+}
+
+/**
+ * Canonical key for a listing's property: street|unit|zip
+ *
+ * @param {Object} listing - Listing (addressLine1/addressLine2, or formattedAddress/address) with zipCode
+ * @returns {string} - Property key
+ */
+function propertyKey(listing) {
+  let line1 = listing.addressLine1;
+  let line2 = listing.addressLine2;
+
+  if (!line1) {
+    // "<street>[, <unit>], <city>, <state> <zip>"; the city isn't part of the key
+    const parts = String(listing.formattedAddress || listing.address || '').split(',');
+    line1 = parts[0];
+    line2 = parts.length > 3 ? parts[1] : null;
+  }
+
+  const { street, unit } = normalizeStreet(line1, line2);
+  return [street, unit, listing.zipCode || ''].join('|');
+}
+
+/**
+ * Deal id that stays the same when a property is relisted, e.g.
+ * "2307-s-wall-st-76513" or "100-main-st-unit-4-76501"
+ *
+ * @param {Object} listing - Listing object
+ * @returns {string} - Stable id
+ */
+function stableId(listing) {
+  const [street, unit, zip] = propertyKey(listing).split('|');
+  return [street, unit && `unit ${unit}`, zip]
+    .filter(Boolean)
+    .join(' ')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Prefer the most recent listing of a property (a relisting replaces the old one)
+ */
+function isNewer(candidate, current) {
+  if (candidate.listedDate && current.listedDate) {
+    return new Date(candidate.listedDate) > new Date(current.listedDate);
+  }
+  if (candidate.daysOnMarket != null && current.daysOnMarket != null) {
+    return candidate.daysOnMarket < current.daysOnMarket;
+  }
+  return false;
+}
+
+/**
+ * Remove duplicate listings of the same property, within the list and
+ * against properties already claimed by an earlier market this run
+ *
+ * @param {Array} listings - Listings for one market
+ * @param {Map} [claimed] - propertyKey -> market id, shared across markets (updated)
+ * @returns {Object} - { listings, duplicates, claimedElsewhere }
+ */
+function dedupeListings(listings, claimed = new Map()) {
+  const byKey = new Map();
+  let claimedElsewhere = 0;
+
+  for (const listing of listings) {
+    const key = propertyKey(listing);
+
+    if (claimed.has(key) && claimed.get(key) !== listing.marketId) {
+      claimedElsewhere++;
+      continue;
+    }
+
+    const current = byKey.get(key);
+    if (!current || isNewer(listing, current)) {
+      byKey.set(key, listing);
+    }
+  }
+
+  for (const key of byKey.keys()) {
+    claimed.set(key, byKey.get(key).marketId);
+  }
+
+  const unique = [...byKey.values()];
+  return {
+    listings: unique,
+    duplicates: listings.length - claimedElsewhere - unique.length,
+    claimedElsewhere,
+  };
+}
+
+module.exports = {
+  normalizeStreet,
+  propertyKey,
+  stableId,
+  dedupeListings,
+};
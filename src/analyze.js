@@ -5,10 +5,16 @@
  * 1. Broad sweep - fetch all listings
  * 2. Heuristic filter - quick yield estimate to eliminate obvious non-deals
  * 3. Deep dive - get actual rent estimates for promising properties
- * 4. Final ranking - sort by yield and select top deals
+ * 4. Final ranking - score with the market's ranking strategy and select top deals
  */
 
 const config = require('./config');
+const ranking = require('./ranking');
+const { paramsFor, resolveParams } = require('./marketParams');
+const { SCHEMA_VERSION } = require('./schema');
+const address = require('./address');
+const expenses = require('./expenses');
+const { round } = require('./numbers');
 
 /**
  * Calculate gross yield percentage
@@ -23,21 +29,179 @@ function calculateGrossYield(annualRent, price) {
 }
 
 /**
- * Calculate estimated monthly cash flow (simplified)
+ * Calculate monthly principal & interest on a fully amortizing loan
+ * 
+ * @param {number} loanAmount - Amount financed
+ * @param {number} annualRate - Annual interest rate (e.g. 0.06875)
+ * @param {number} termYears - Loan term in years
+ * @returns {number} - Monthly P&I payment
+ */
+function calculateMortgagePayment(loanAmount, annualRate, termYears) {
+  if (!loanAmount || loanAmount <= 0) return 0;
+  
+  const n = termYears * 12;
+  const monthlyRate = annualRate / 12;
+  if (monthlyRate === 0) return loanAmount / n;
+  
+  return loanAmount * (monthlyRate * Math.pow(1 + monthlyRate, n)) / (Math.pow(1 + monthlyRate, n) - 1);
+}
+
+/**
+ * Calculate annual net operating income (before debt service)
+ * 
+ * @param {number} monthlyRent - Monthly rental income
+ * @param {number} price - Purchase price
+ * @param {Object} analysis - Analysis parameters (defaults to config.analysis)
+ * @param {Object} [property] - Listing facts for the expense model (see expenses.js)
+ * @returns {number} - Annual NOI
+ */
+function calculateNetOperatingIncome(monthlyRent, price, analysis = config.analysis, property = {}) {
+  return monthlyRent * 12 - expenses.calculateExpenses(monthlyRent, price, analysis, property).total;
+}
+
+/**
+ * Calculate leveraged metrics for a financed purchase
  * 
  * @param {number} monthlyRent - Monthly rental income
  * @param {number} price - Purchase price
- * @returns {number} - Estimated monthly cash flow
+ * @param {Object} financing - Financing assumptions (defaults to config.financing)
+ * @param {Object} analysis - Analysis parameters (defaults to config.analysis)
+ * @param {Object} [property] - Listing facts for the expense model (see expenses.js)
+ * @returns {Object} - Loan terms, NOI, cap rate, cash-on-cash, DSCR and cash flow
  */
-function calculateMonthlyCashFlow(monthlyRent, price) {
-  const annualTaxes = price * config.analysis.propertyTaxRate;
-  const monthlyTaxes = annualTaxes / 12;
-  const vacancyLoss = monthlyRent * config.analysis.vacancyRate;
-  const managementCost = monthlyRent * config.analysis.managementFee;
+function calculateFinancedMetrics(monthlyRent, price, financing = config.financing, analysis = config.analysis, property = {}) {
+  const downPayment = price * financing.downPaymentPct;
+  const closingCosts = price * financing.closingCostPct;
+  const cashInvested = downPayment + closingCosts;
+  const loanAmount = price - downPayment;
+  
+  const monthlyPrincipalAndInterest = calculateMortgagePayment(loanAmount, financing.interestRate, financing.loanTermYears);
+  const annualDebtService = monthlyPrincipalAndInterest * 12;
   
-  // Simplified NOI (not including mortgage - that depends on buyer's financing)
-  const estimatedExpenses = monthlyTaxes + vacancyLoss + managementCost;
-  return monthlyRent - estimatedExpenses;
+  const noi = calculateNetOperatingIncome(monthlyRent, price, analysis, property);
+  const annualCashFlow = noi - annualDebtService;
+  
+  return {
+    downPayment,
+    closingCosts,
+    cashInvested,
+    loanAmount,
+    monthlyPrincipalAndInterest,
+    annualDebtService,
+    noi,
+    capRate: price > 0 ? (noi / price) * 100 : 0,
+    cashOnCash: cashInvested > 0 ? (annualCashFlow / cashInvested) * 100 : 0,
+    // No debt means coverage is unlimited; report null rather than Infinity
+    dscr: annualDebtService > 0 ? noi / annualDebtService : null,
+    monthlyCashFlow: annualCashFlow / 12,
+  };
+}
+
+/**
+ * Evaluate a deal under rent, vacancy and interest rate scenarios
+ * 
+ * @param {Object} listing - Listing with rentEstimate (and optional rentRangeLow/High)
+ * @param {Object} analysis - Analysis parameters
+ * @param {Object} financing - Financing assumptions
+ * @param {Object} stress - Stress assumptions (defaults to config.scenarios)
+ * @returns {Object} - Metrics for low, base, high, highVacancy, rateShock and downside
+ */
+function calculateScenarios(listing, analysis, financing, stress = config.scenarios) {
+  const baseRent = listing.rentEstimate;
+  const lowRent = listing.rentRangeLow || baseRent;
+  const highRent = listing.rentRangeHigh || baseRent;
+  
+  const stressedAnalysis = { ...analysis, vacancyRate: analysis.vacancyRate + stress.vacancyIncrease };
+  const shockedFinancing = { ...financing, interestRate: financing.interestRate + stress.rateShock };
+  
+  const cases = {
+    low: [lowRent, analysis, financing],
+    base: [baseRent, analysis, financing],
+    high: [highRent, analysis, financing],
+    highVacancy: [baseRent, stressedAnalysis, financing],
+    rateShock: [baseRent, analysis, shockedFinancing],
+    // Everything going wrong at once
+    downside: [lowRent, stressedAnalysis, shockedFinancing],
+  };
+  
+  const results = {};
+  for (const [name, [monthlyRent, caseAnalysis, caseFinancing]] of Object.entries(cases)) {
+    const financed = calculateFinancedMetrics(monthlyRent, listing.price, caseFinancing, caseAnalysis, listing);
+    results[name] = {
+      monthlyRent: round(monthlyRent),
+      vacancyRate: round(caseAnalysis.vacancyRate, 3),
+      interestRate: round(caseFinancing.interestRate, 5),
+      monthlyCashFlow: round(financed.monthlyCashFlow),
+      capRate: round(financed.capRate, 1),
+      cashOnCash: round(financed.cashOnCash, 1),
+      dscr: financed.dscr === null ? null : round(financed.dscr, 2),
+    };
+  }
+  return results;
+}
+
+/**
+ * Project a BRRRR deal: buy with cash, rehab, rent, then refinance at a share
+ * of the after-repair value (ARV) to pull the cash back out
+ * 
+ * @param {Object} deal - { price, rehabCost, arv, monthlyRent, property }
+ * @param {Object} financing - Financing assumptions (refinance rate and term, purchase closing costs)
+ * @param {Object} analysis - Analysis parameters (taxes assessed on the ARV)
+ * @param {Object} brrrr - Refinance assumptions (defaults to config.rehab.brrrr)
+ * @returns {Object} - Cash in, refinance loan, cash left in the deal and cash flow after the refinance
+ */
+function calculateBrrrr({ price, rehabCost, arv, monthlyRent, property = {} }, financing, analysis, brrrr = config.rehab.brrrr) {
+  const cashIn = price * (1 + financing.closingCostPct) + rehabCost;
+  const refinanceLoan = arv * brrrr.refinanceLtv;
+  const cashOut = refinanceLoan * (1 - brrrr.refinanceCostPct);
+  // Negative when the refinance returns more than was put in
+  const cashLeftIn = cashIn - cashOut;
+  
+  const monthlyPrincipalAndInterest = calculateMortgagePayment(refinanceLoan, financing.interestRate, financing.loanTermYears);
+  // The county reappraises after the rehab, so the old assessment no longer applies
+  const noi = calculateNetOperatingIncome(monthlyRent, arv, analysis, { ...property, taxAssessments: null });
+  const annualCashFlow = noi - monthlyPrincipalAndInterest * 12;
+  
+  return {
+    arv: round(arv),
+    cashIn: round(cashIn),
+    refinanceLoan: round(refinanceLoan),
+    cashOut: round(cashOut),
+    cashLeftIn: round(cashLeftIn),
+    capitalRecoveredPct: round((cashOut / cashIn) * 100, 1),
+    monthlyPrincipalAndInterest: round(monthlyPrincipalAndInterest),
+    monthlyCashFlow: round(annualCashFlow / 12),
+    // With no cash left in, the return is unlimited; report null rather than Infinity
+    cashOnCash: cashLeftIn > 0 ? round((annualCashFlow / cashLeftIn) * 100, 1) : null,
+  };
+}
+
+/**
+ * Estimate monthly rent from square footage using the $/sqft heuristic.
+ * Prefers the calibrated rate (see calibration.js) over the configured one.
+ * 
+ * @param {Object} listing - Listing (with optional per-zip `params`)
+ * @returns {number} - Heuristic monthly rent
+ */
+function estimateHeuristicRent(listing) {
+  const rentPerSqft = listing.heuristicRentPerSqft || paramsFor(listing).analysis.heuristicRentPerSqft;
+  return listing.squareFootage * rentPerSqft;
+}
+
+/**
+ * Check a listing against its effective filters. The API query already
+ * applies market-level filters; this enforces per-zip overrides.
+ * 
+ * @param {Object} listing - Listing (with optional per-zip `params`)
+ * @returns {boolean} - Whether the listing passes
+ */
+function passesFilters(listing) {
+  const { filters } = paramsFor(listing);
+  
+  if (listing.price < filters.minPrice || listing.price > filters.maxPrice) return false;
+  if (listing.bedrooms !== undefined && listing.bedrooms < filters.minBedrooms) return false;
+  if (listing.propertyType && !filters.propertyTypes.includes(listing.propertyType)) return false;
+  return true;
 }
 
 /**
@@ -56,13 +220,16 @@ function applyHeuristicFilter(listings) {
       return false;
     }
     
+    if (!passesFilters(listing)) {
+      return false;
+    }
+    
     // Estimate rent using $/sqft heuristic
-    const estimatedMonthlyRent = listing.squareFootage * config.analysis.heuristicRentPerSqft;
-    const estimatedAnnualRent = estimatedMonthlyRent * 12;
+    const estimatedAnnualRent = estimateHeuristicRent(listing) * 12;
     const heuristicYield = calculateGrossYield(estimatedAnnualRent, listing.price);
     
     // Keep if yield exceeds minimum threshold
-    return heuristicYield >= config.analysis.minYieldThreshold;
+    return heuristicYield >= paramsFor(listing).analysis.minYieldThreshold;
   });
   
   console.log(`  ✓ ${filtered.length} listings passed heuristic filter (${listings.length - filtered.length} eliminated)`);
@@ -73,17 +240,20 @@ function applyHeuristicFilter(listings) {
  * Stage 2: Sort by heuristic yield and take top candidates for deep analysis
  * 
  * @param {Array} listings - Filtered listings
+ * @param {Object} params - Market parameters (defaults to config)
  * @returns {Array} - Top candidates for rent estimate lookup
  */
-function selectTopCandidates(listings) {
-  console.log(`\n🎯 Stage 2: Selecting top ${config.analysis.maxPropertiesToAnalyze} candidates for deep analysis...`);
+function selectTopCandidates(listings, params = config) {
+  const { maxPropertiesToAnalyze } = params.analysis;
+  console.log(`\n🎯 Stage 2: Selecting top ${maxPropertiesToAnalyze} candidates for deep analysis...`);
   
   // Calculate heuristic yield for sorting
   const withHeuristicYield = listings.map(listing => {
-    const estimatedMonthlyRent = listing.squareFootage * config.analysis.heuristicRentPerSqft;
-    const heuristicYield = calculateGrossYield(estimatedMonthlyRent * 12, listing.price);
+    const heuristicRent = estimateHeuristicRent(listing);
+    const heuristicYield = calculateGrossYield(heuristicRent * 12, listing.price);
     return {
       ...listing,
+      heuristicRent: round(heuristicRent),
       heuristicYield,
     };
   });
@@ -92,7 +262,7 @@ function selectTopCandidates(listings) {
   withHeuristicYield.sort((a, b) => b.heuristicYield - a.heuristicYield);
   
   // Take top candidates
-  const topCandidates = withHeuristicYield.slice(0, config.analysis.maxPropertiesToAnalyze);
+  const topCandidates = withHeuristicYield.slice(0, maxPropertiesToAnalyze);
   
   console.log(`  ✓ Selected ${topCandidates.length} candidates`);
   if (topCandidates.length > 0) {
@@ -115,7 +285,9 @@ function calculateInvestmentMetrics(listings) {
     const monthlyRent = listing.rentEstimate;
     const annualRent = monthlyRent * 12;
     const grossYield = calculateGrossYield(annualRent, listing.price);
-    const monthlyCashFlow = calculateMonthlyCashFlow(monthlyRent, listing.price);
+    const { analysis, financing } = paramsFor(listing);
+    const financed = calculateFinancedMetrics(monthlyRent, listing.price, financing, analysis, listing);
+    const operatingExpenses = expenses.calculateExpenses(monthlyRent, listing.price, analysis, listing);
     
     // Gross Rent Multiplier (lower is better)
     const grm = listing.price / annualRent;
@@ -123,35 +295,111 @@ function calculateInvestmentMetrics(listings) {
     // Does it meet the 1% rule? (monthly rent >= 1% of price)
     const onePercentRule = monthlyRent >= (listing.price * 0.01);
     
+    // Per-door figures (single-family homes are one unit)
+    const unitCount = listing.unitCount || 1;
+    
+    const scenarios = calculateScenarios(listing, analysis, financing);
+    
+    // Value-add: yield on price plus mid-band rehab, and the BRRRR refinance
+    // (see rehab.js; without a rehab estimate the all-in cost is the price)
+    const rehabCost = listing.rehab ? listing.rehab.costMid : 0;
+    const allInCost = listing.price + rehabCost;
+    const rehab = listing.rehab
+      ? {
+        ...listing.rehab,
+        allInCost,
+        brrrr: listing.rehab.level !== 'none' && listing.rehab.arv
+          ? calculateBrrrr({ price: listing.price, rehabCost, arv: listing.rehab.arv, monthlyRent, property: listing }, financing, analysis)
+          : null,
+      }
+      : null;
+    
     return {
       ...listing,
-      grossYield: Math.round(grossYield * 10) / 10, // Round to 1 decimal
-      monthlyCashFlow: Math.round(monthlyCashFlow),
+      grossYield: round(grossYield, 1), // Round to 1 decimal
+      monthlyCashFlow: round(financed.monthlyCashFlow), // After debt service
       annualRent,
-      grm: Math.round(grm * 10) / 10,
+      annualNOI: round(financed.noi),
+      capRate: round(financed.capRate, 1),
+      cashOnCash: round(financed.cashOnCash, 1),
+      dscr: financed.dscr === null ? null : round(financed.dscr, 2),
+      grm: round(grm, 1),
       meetsOnePercentRule: onePercentRule,
+      unitCount,
+      pricePerUnit: round(listing.price / unitCount),
+      rentPerUnit: round(monthlyRent / unitCount),
+      financing: {
+        downPaymentPct: financing.downPaymentPct,
+        interestRate: financing.interestRate,
+        loanTermYears: financing.loanTermYears,
+        downPayment: round(financed.downPayment),
+        closingCosts: round(financed.closingCosts),
+        cashInvested: round(financed.cashInvested),
+        loanAmount: round(financed.loanAmount),
+        monthlyPrincipalAndInterest: round(financed.monthlyPrincipalAndInterest),
+      },
+      expenses: expenses.formatExpenses(operatingExpenses),
+      scenarios,
+      downsideCashFlowNegative: scenarios.downside.monthlyCashFlow < 0,
+      allInYield: round(calculateGrossYield(annualRent, allInCost), 1),
+      rehab,
     };
   });
 }
 
 /**
- * Stage 4: Final ranking - sort by yield and select top deals
+ * Stage 4: Final ranking - score with the market's strategy and select top deals
  * 
  * @param {Array} listings - Listings with investment metrics
- * @returns {Array} - Top deals sorted by yield
+ * @param {string|Object} [rankingSetting] - Market ranking setting (defaults to config.ranking.defaultStrategy),
+ *   or a ranking already resolved with ranking.resolveRanking()
+ * @param {Object} params - Market parameters (defaults to config)
+ * @returns {Array} - Top deals sorted by score
  */
-function rankAndSelectTopDeals(listings) {
-  console.log(`\n🏆 Stage 4: Ranking and selecting top ${config.analysis.topDealsCount} deals...`);
+function rankAndSelectTopDeals(listings, rankingSetting, params = config) {
+  const { topDealsCount } = params.analysis;
+  const resolved = rankingSetting && rankingSetting.options ? rankingSetting : ranking.resolveRanking(rankingSetting);
+  console.log(`\n🏆 Stage 4: Ranking by ${resolved.strategy} and selecting top ${topDealsCount} deals...`);
   
-  // Sort by gross yield (highest first)
-  const sorted = [...listings].sort((a, b) => b.grossYield - a.grossYield);
+  const { downsideAction } = config.scenarios;
+  const { farBelowAction } = config.comps;
+  const farBelow = listing => Boolean(listing.comps && listing.comps.farBelowComps);
+  const eligible = listings.filter(listing =>
+    !(farBelowAction === 'exclude' && farBelow(listing)) &&
+    !(downsideAction === 'exclude' && listing.downsideCashFlowNegative)
+  );
+  if (eligible.length < listings.length) {
+    console.log(`  ⚠️  Excluded ${listings.length - eligible.length} deals priced far below comps or negative in the downside case`);
+  }
+  
+  const scored = eligible.map(listing => {
+    const { score, breakdown } = ranking.scoreDeal(listing, resolved);
+    return {
+      ...listing,
+      score,
+      scoreBreakdown: breakdown,
+    };
+  });
+  
+  // Sort by score (highest first), after any demotion (far below comps,
+  // negative in the downside case)
+  const sorted = scored.sort((a, b) => ranking.demotionTier(a) - ranking.demotionTier(b) || b.score - a.score);
   
   // Take top deals
-  const topDeals = sorted.slice(0, config.analysis.topDealsCount);
+  const topDeals = sorted.slice(0, topDealsCount);
   
   if (topDeals.length > 0) {
-    console.log(`  ✓ Top deal: ${topDeals[0].grossYield}% yield at ${formatCurrency(topDeals[0].price)}`);
-    console.log(`  ✓ #${topDeals.length} deal: ${topDeals[topDeals.length - 1].grossYield}% yield at ${formatCurrency(topDeals[topDeals.length - 1].price)}`);
+    console.log(`  ✓ Top deal: score ${topDeals[0].score} (${topDeals[0].grossYield}% yield) at ${formatCurrency(topDeals[0].price)}`);
+    console.log(`  ✓ #${topDeals.length} deal: score ${topDeals[topDeals.length - 1].score} (${topDeals[topDeals.length - 1].grossYield}% yield) at ${formatCurrency(topDeals[topDeals.length - 1].price)}`);
+  }
+  
+  const fragile = topDeals.filter(listing => listing.downsideCashFlowNegative).length;
+  if (fragile > 0) {
+    console.log(`  ⚠️  ${fragile} of ${topDeals.length} top deals cash-flow negative in the downside case`);
+  }
+  const suspect = topDeals.filter(farBelow).length;
+  if (suspect > 0) {
+    console.log(`  ⚠️  ${suspect} of ${topDeals.length} top deals priced far below comps`);
   }
   
   return topDeals;
@@ -167,33 +415,75 @@ function rankAndSelectTopDeals(listings) {
 function formatDealForOutput(listing, rank) {
   return {
     rank,
-    id: listing.id || listing.listingId || `${listing.addressLine1}-${listing.zipCode}`,
+    // Derived from the normalized address, so it survives relisting
+    id: address.stableId(listing),
+    listingId: listing.id || listing.listingId || null,
     address: listing.formattedAddress || listing.addressLine1,
     city: listing.city,
     state: listing.state,
     zipCode: listing.zipCode,
+    latitude: listing.latitude ?? null,
+    longitude: listing.longitude ?? null,
     price: listing.price,
-    bedrooms: listing.bedrooms,
-    bathrooms: listing.bathrooms,
-    squareFootage: listing.squareFootage,
-    yearBuilt: listing.yearBuilt,
-    propertyType: listing.propertyType,
+    bedrooms: listing.bedrooms ?? null,
+    bathrooms: listing.bathrooms ?? null,
+    squareFootage: listing.squareFootage ?? null,
+    yearBuilt: listing.yearBuilt ?? null,
+    propertyType: listing.propertyType ?? null,
+    
+    // Units (multi-family rent is the sum of per-unit estimates)
+    unitCount: listing.unitCount,
+    pricePerUnit: listing.pricePerUnit,
+    rentPerUnit: listing.rentPerUnit,
+    units: listing.unitCount > 1 ? listing.units : undefined,
+    unitCountSource: listing.unitCount > 1 ? listing.unitCountSource : undefined,
     
     // Investment Metrics
     estMonthlyRent: listing.rentEstimate,
     estAnnualRent: listing.annualRent,
     grossYield: listing.grossYield,
     estMonthlyCashFlow: listing.monthlyCashFlow,
+    estAnnualNOI: listing.annualNOI,
+    capRate: listing.capRate,
+    cashOnCash: listing.cashOnCash,
+    dscr: listing.dscr ?? null,
     grm: listing.grm,
     meetsOnePercentRule: listing.meetsOnePercentRule,
     
+    // Loan assumptions behind the leveraged metrics
+    financing: listing.financing,
+    
+    // Itemized annual operating expenses behind NOI and cash flow
+    expenses: listing.expenses,
+    
+    // Sensitivity: low/base/high rent, higher vacancy, rate shock, downside
+    scenarios: listing.scenarios,
+    downsideCashFlowNegative: listing.downsideCashFlowNegative,
+    
+    // Price/sqft versus comparable listings in the same zip
+    comps: listing.comps ?? null,
+    
+    // Value-add: distress signals, rehab cost band, all-in yield and BRRRR
+    allInYield: listing.allInYield,
+    rehab: listing.rehab ?? null,
+    
+    // Ranking score and how it was built
+    score: listing.score,
+    scoreBreakdown: listing.scoreBreakdown,
+    
+    // Effective (market / zip-level) parameters used for this deal
+    parameters: {
+      analysis: paramsFor(listing).analysis,
+      financing: paramsFor(listing).financing,
+    },
+    
     // Rent estimate range
-    rentRangeLow: listing.rentRangeLow,
-    rentRangeHigh: listing.rentRangeHigh,
+    rentRangeLow: listing.rentRangeLow ?? null,
+    rentRangeHigh: listing.rentRangeHigh ?? null,
     
-    // Listing info
-    daysOnMarket: listing.daysOnMarket,
-    listingDate: listing.listingDate,
+    // Listing info (null rather than missing when RentCast omits them)
+    daysOnMarket: listing.daysOnMarket ?? null,
+    listingDate: listing.listedDate ?? listing.listingDate ?? null,
     primaryPhoto: listing.primaryPhoto || listing.photos?.[0] || null,
     listingUrl: listing.listingUrl || null,
     
@@ -203,43 +493,68 @@ function formatDealForOutput(listing, rank) {
   };
 }
 
+/**
+ * Summary statistics for a list of formatted deals
+ * 
+ * @param {Array} deals - Deals from formatDealForOutput
+ * @returns {Object} - Totals and averages shown above the deal list
+ */
+function summarizeDeals(deals) {
+  const average = (field, places) => {
+    if (deals.length === 0) return 0;
+    return round(deals.reduce((sum, d) => sum + d[field], 0) / deals.length, places);
+  };
+  
+  return {
+    totalDeals: deals.length,
+    avgGrossYield: average('grossYield', 1),
+    avgPrice: average('price', 0),
+    avgMonthlyRent: average('estMonthlyRent', 0),
+    avgCashOnCash: average('cashOnCash', 1),
+    topYield: deals.length > 0 ? Math.max(...deals.map(d => d.grossYield)) : 0,
+    lowestPrice: deals.length > 0 ? Math.min(...deals.map(d => d.price)) : 0,
+  };
+}
+
+/**
+ * Ranking recorded in a market file when the caller has none resolved.
+ * Never throws, so a market whose ranking setting is invalid still gets its
+ * empty fallback file; the setting is then recorded as given.
+ * 
+ * @param {string|Object} [rankingSetting] - Market ranking setting
+ * @returns {Object} - { strategy, options }
+ */
+function outputRanking(rankingSetting) {
+  try {
+    return ranking.resolveRanking(rankingSetting);
+  } catch (error) {
+    const strategy = typeof rankingSetting === 'string' ? rankingSetting : rankingSetting.strategy;
+    return { strategy: String(strategy), options: {} };
+  }
+}
+
 /**
  * Create the final output object for a market
  * 
  * @param {Array} deals - Array of top deals
  * @param {Object} market - Market configuration
+ * @param {Object} [resolvedRanking] - The market's ranking from ranking.resolveRanking()
  * @returns {Object} - Output object with metadata
  */
-function createMarketOutput(deals, market) {
+function createMarketOutput(deals, market, resolvedRanking = null) {
   const formattedDeals = deals.map((deal, index) => formatDealForOutput(deal, index + 1));
   
-  // Calculate summary stats
-  const avgYield = deals.length > 0 
-    ? Math.round((deals.reduce((sum, d) => sum + d.grossYield, 0) / deals.length) * 10) / 10
-    : 0;
-  
-  const avgPrice = deals.length > 0
-    ? Math.round(deals.reduce((sum, d) => sum + d.price, 0) / deals.length)
-    : 0;
-  
-  const avgRent = deals.length > 0
-    ? Math.round(deals.reduce((sum, d) => sum + d.rentEstimate, 0) / deals.length)
-    : 0;
-
   return {
+    schemaVersion: SCHEMA_VERSION,
     market: {
       id: market.id,
       name: market.name,
     },
+    ranking: resolvedRanking || outputRanking(market.ranking),
+    // Market-level parameters (individual deals record any zip-level overrides)
+    parameters: resolveParams(market),
     lastUpdated: new Date().toISOString(),
-    summary: {
-      totalDeals: formattedDeals.length,
-      avgGrossYield: avgYield,
-      avgPrice: avgPrice,
-      avgMonthlyRent: avgRent,
-      topYield: formattedDeals.length > 0 ? formattedDeals[0].grossYield : 0,
-      lowestPrice: formattedDeals.length > 0 ? Math.min(...formattedDeals.map(d => d.price)) : 0,
-    },
+    summary: summarizeDeals(formattedDeals),
     deals: formattedDeals,
   };
 }
@@ -259,6 +574,12 @@ module.exports = {
   calculateInvestmentMetrics,
   rankAndSelectTopDeals,
   formatDealForOutput,
+  summarizeDeals,
   createMarketOutput,
   calculateGrossYield,
+  calculateMortgagePayment,
+  calculateNetOperatingIncome,
+  calculateFinancedMetrics,
+  calculateScenarios,
+  calculateBrrrr,
 };
@@ -0,0 +1,205 @@
+/**
+ * Heuristic Rent Calibration
+ *
+ * Learns rent per square foot from the AVM estimates the pipeline already
+ * pays for, so the Stage 1/2 heuristic picks better candidates over time.
+ *
+ * - Every AVM rent estimate is saved as an observation (zip, beds, sqft, rent)
+ * - A model of median rent/sqft is fit by zip + bedrooms, falling back to
+ *   zip, then bedrooms, then the configured heuristicRentPerSqft
+ * - After enrichment, heuristic rents are compared against the AVM rents to
+ *   report how well the heuristic predicted them
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const rentCache = require('./rentCache');
+const units = require('./units');
+const { median, round } = require('./numbers');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Loaded lazily from disk on first use
+let observations = null;
+let dirty = false;
+
+function settings() {
+  return config.calibration;
+}
+
+function load() {
+  if (observations) return observations;
+
+  observations = {};
+  if (settings().enabled && fs.existsSync(settings().observationsFile)) {
+    try {
+      const stored = JSON.parse(fs.readFileSync(settings().observationsFile, 'utf-8')).observations || {};
+      // Saved under the rent cache key, which has changed format over time
+      for (const [key, obs] of Object.entries(stored)) {
+        observations[rentCache.upgradeKey(key)] = obs;
+      }
+    } catch (error) {
+      console.error(`  ✗ Could not read rent observations ${settings().observationsFile}: ${error.message}`);
+    }
+  }
+  return observations;
+}
+
+// Group 5+ bedroom homes together; there are too few to model separately
+function bedroomBucket(bedrooms) {
+  return bedrooms >= 5 ? '5+' : String(bedrooms || 0);
+}
+
+/**
+ * Fit median rent/sqft by zip + beds, zip, and beds from recent observations
+ *
+ * @returns {Object} - { byZipBeds, byZip, byBeds } maps of { rentPerSqft, samples }
+ */
+function fitModel() {
+  const cutoff = Date.now() - settings().maxAgeDays * DAY_MS;
+  const groups = { byZipBeds: {}, byZip: {}, byBeds: {} };
+
+  for (const obs of Object.values(load())) {
+    if (new Date(obs.observedAt).getTime() < cutoff) continue;
+
+    const rate = obs.rent / obs.squareFootage;
+    const beds = bedroomBucket(obs.bedrooms);
+    (groups.byZipBeds[`${obs.zipCode}|${beds}`] = groups.byZipBeds[`${obs.zipCode}|${beds}`] || []).push(rate);
+    (groups.byZip[obs.zipCode] = groups.byZip[obs.zipCode] || []).push(rate);
+    (groups.byBeds[beds] = groups.byBeds[beds] || []).push(rate);
+  }
+
+  const model = {};
+  for (const [level, buckets] of Object.entries(groups)) {
+    model[level] = {};
+    for (const [key, rates] of Object.entries(buckets)) {
+      if (rates.length >= settings().minSamples) {
+        model[level][key] = { rentPerSqft: round(median(rates), 3), samples: rates.length };
+      }
+    }
+  }
+  return model;
+}
+
+/**
+ * Attach a heuristic rent/sqft to each listing from the fitted model,
+ * falling back to the listing's configured heuristicRentPerSqft
+ *
+ * @param {Array} listings - Listings (with optional per-zip `params`)
+ * @param {Object} [model] - Fitted model (fit from saved observations if omitted)
+ * @returns {Array} - Listings with heuristicRentPerSqft and heuristicSource
+ */
+function attachHeuristicRates(listings, model) {
+  if (!settings().enabled) return listings;
+
+  const fitted = model || fitModel();
+
+  return listings.map(listing => {
+    // Multi-family is matched on its per-unit bedroom count
+    const beds = bedroomBucket(units.describeUnits(listing).units[0].bedrooms);
+    const match = (fitted.byZipBeds[`${listing.zipCode}|${beds}`] && ['zip+beds', fitted.byZipBeds[`${listing.zipCode}|${beds}`]])
+      || (fitted.byZip[listing.zipCode] && ['zip', fitted.byZip[listing.zipCode]])
+      || (fitted.byBeds[beds] && ['beds', fitted.byBeds[beds]]);
+
+    if (!match) return listing;
+
+    return {
+      ...listing,
+      heuristicRentPerSqft: match[1].rentPerSqft,
+      heuristicSource: match[0],
+    };
+  });
+}
+
+/**
+ * Save AVM rent estimates as observations for future model fits.
+ * Multi-family listings contribute one observation per unit layout.
+ *
+ * @param {Array} listings - Listings with rentEstimate (and `units` for multi-family)
+ */
+function recordObservations(listings) {
+  if (!settings().enabled) return;
+
+  const store = load();
+  for (const listing of listings) {
+    const unitList = listing.units || [{ ...listing }];
+
+    for (const unit of unitList) {
+      const observation = { ...listing, ...unit };
+      if (!observation.rentEstimate || !observation.squareFootage || !observation.zipCode) continue;
+
+      // Same key as the rent cache, so a listing seen every week counts once
+      store[rentCache.cacheKey(observation)] = {
+        zipCode: observation.zipCode,
+        bedrooms: observation.bedrooms,
+        squareFootage: observation.squareFootage,
+        rent: observation.rentEstimate,
+        observedAt: new Date().toISOString(),
+      };
+    }
+  }
+  dirty = true;
+}
+
+/**
+ * Write observations to disk, dropping ones older than maxAgeDays.
+ * Replay runs don't save, so recorded rents never skew the live model.
+ */
+function save() {
+  if (!settings().enabled || !dirty || config.api.replayDir) return;
+
+  const cutoff = Date.now() - settings().maxAgeDays * DAY_MS;
+  const recent = {};
+  for (const [key, obs] of Object.entries(load())) {
+    if (new Date(obs.observedAt).getTime() >= cutoff) recent[key] = obs;
+  }
+  observations = recent;
+
+  fs.mkdirSync(path.dirname(settings().observationsFile), { recursive: true });
+  fs.writeFileSync(settings().observationsFile, JSON.stringify({ updated: new Date().toISOString(), observations }, null, 2));
+  dirty = false;
+}
+
+/**
+ * Compare the heuristic rent each listing was selected on with its AVM rent
+ *
+ * @param {Array} listings - Listings with heuristicRent and rentEstimate
+ * @returns {Object} - Sample count, mean absolute % error, mean % bias, and counts by heuristic source
+ */
+function evaluateHeuristic(listings) {
+  const errors = listings
+    .filter(listing => listing.heuristicRent && listing.rentEstimate)
+    .map(listing => ({
+      pct: ((listing.heuristicRent - listing.rentEstimate) / listing.rentEstimate) * 100,
+      source: listing.heuristicSource || 'config',
+    }));
+
+  if (errors.length === 0) {
+    return { samples: 0, meanAbsPctError: null, meanPctBias: null, bySource: {} };
+  }
+
+  const bySource = {};
+  for (const error of errors) {
+    bySource[error.source] = (bySource[error.source] || 0) + 1;
+  }
+
+  const mean = values => round(values.reduce((sum, v) => sum + v, 0) / values.length, 1);
+
+  return {
+    samples: errors.length,
+    // How far off the heuristic was, on average
+    meanAbsPctError: mean(errors.map(e => Math.abs(e.pct))),
+    // Positive = heuristic overestimates rent
+    meanPctBias: mean(errors.map(e => e.pct)),
+    bySource,
+  };
+}
+
+module.exports = {
+  fitModel,
+  attachHeuristicRates,
+  recordObservations,
+  save,
+  evaluateHeuristic,
+};
@@ -0,0 +1,251 @@
+/**
+ * Command-Line Interface
+ *
+ * Parses arguments for src/index.js and applies them to the config:
+ * market selection, config overrides, dry runs, alternate output
+ * directories and a JSON summary on stdout.
+ */
+
+const path = require('path');
+const { parseArgs } = require('util');
+
+const USAGE = `
+Usage: node src/index.js [options]
+
+Markets
+  -m, --market <id>         Only process this market (repeatable, or comma-separated)
+
+Overrides (applied on top of config.js, including market/zip overrides)
+  --min-price <n>           filters.minPrice
+  --max-price <n>           filters.maxPrice
+  --min-yield <n>           analysis.minYieldThreshold (%)
+  --top <n>                 analysis.topDealsCount
+  --candidates <n>          analysis.maxPropertiesToAnalyze
+  --set <path=value>        Any config value, e.g. --set financing.interestRate=0.065
+                            (repeatable)
+
+Output
+  --dry-run                 Print results without writing data/ (or the output directory)
+  --output-dir <dir>        Write market files, history and run report here instead of data/
+  --json                    Print a JSON summary to stdout (logs go to stderr)
+
+Data source
+  --replay <dir>            Replay recorded RentCast responses from <dir>
+  --record <dir>            Record live RentCast responses into <dir>
+  --test                    Replay the bundled sample week as a dry run, without
+                            touching the rent cache or calibration data
+
+  -h, --help                Show this help
+`;
+
+// Shortcut flags and the config value each one sets
+const SHORTCUTS = {
+  'min-price': 'filters.minPrice',
+  'max-price': 'filters.maxPrice',
+  'min-yield': 'analysis.minYieldThreshold',
+  'top': 'analysis.topDealsCount',
+  'candidates': 'analysis.maxPropertiesToAnalyze',
+};
+
+// Config sections that markets and zip codes can also override; CLI values
+// for these are applied last by marketParams.resolveParams
+const PARAM_SECTIONS = ['filters', 'analysis', 'financing'];
+
+/**
+ * Parse command-line arguments
+ *
+ * @param {Array<string>} argv - Arguments (without node and script path)
+ * @returns {Object} - Parsed options
+ * @throws {Error} - On unknown flags or malformed values
+ */
+function parseCliArgs(argv) {
+  const options = {};
+  for (const flag of Object.keys(SHORTCUTS)) {
+    options[flag] = { type: 'string' };
+  }
+
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      ...options,
+      'market': { type: 'string', short: 'm', multiple: true },
+      'set': { type: 'string', multiple: true },
+      'dry-run': { type: 'boolean' },
+      'output-dir': { type: 'string' },
+      'json': { type: 'boolean' },
+      'replay': { type: 'string' },
+      'record': { type: 'string' },
+      'test': { type: 'boolean' },
+      'help': { type: 'boolean', short: 'h' },
+    },
+  });
+
+  const overrides = [];
+  for (const [flag, configPath] of Object.entries(SHORTCUTS)) {
+    if (values[flag] !== undefined) overrides.push([configPath, values[flag]]);
+  }
+  for (const assignment of values.set || []) {
+    const eq = assignment.indexOf('=');
+    if (eq < 1) throw new Error(`--set expects path=value, got "${assignment}"`);
+    overrides.push([assignment.slice(0, eq), assignment.slice(eq + 1)]);
+  }
+
+  return {
+    help: Boolean(values.help),
+    test: Boolean(values.test),
+    // --test never writes output
+    dryRun: Boolean(values['dry-run'] || values.test),
+    json: Boolean(values.json),
+    outputDir: values['output-dir'] || null,
+    replayDir: values.replay || null,
+    recordDir: values.record || null,
+    markets: (values.market || []).flatMap(m => m.split(',')).map(m => m.trim()).filter(Boolean),
+    overrides,
+  };
+}
+
+/**
+ * Convert a string to the type of the value it replaces
+ */
+function coerce(raw, current, configPath) {
+  if (typeof current === 'number') {
+    const value = Number(raw);
+    if (raw.trim() === '' || Number.isNaN(value)) throw new Error(`${configPath} expects a number, got "${raw}"`);
+    return value;
+  }
+  if (typeof current === 'boolean') {
+    if (raw !== 'true' && raw !== 'false') throw new Error(`${configPath} expects true or false, got "${raw}"`);
+    return raw === 'true';
+  }
+  if (Array.isArray(current)) {
+    return raw.split(',').map(item => item.trim()).filter(Boolean);
+  }
+  return raw;
+}
+
+/**
+ * Apply one path=value override to the config
+ *
+ * @param {Object} config - Config object (mutated)
+ * @param {string} configPath - Dotted path, e.g. 'analysis.topDealsCount'
+ * @param {string} raw - Value from the command line
+ */
+function applyOverride(config, configPath, raw) {
+  const keys = configPath.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((obj, key) => (obj && typeof obj === 'object' ? obj[key] : undefined), config);
+
+  if (!parent || typeof parent !== 'object' || !(last in parent)) {
+    throw new Error(`Unknown config value "${configPath}"`);
+  }
+
+  const value = coerce(raw, parent[last], configPath);
+  parent[last] = value;
+
+  // Filter/analysis/financing values must also beat market and zip overrides
+  if (keys.length === 1 && PARAM_SECTIONS.includes(keys[0])) {
+    config.overrides = config.overrides || {};
+    config.overrides[keys[0]] = { ...(config.overrides[keys[0]] || {}), [last]: value };
+  }
+}
+
+/**
+ * Apply parsed options to the config
+ *
+ * @param {Object} config - Config object (mutated)
+ * @param {Object} options - Options from parseCliArgs
+ * @throws {Error} - On unknown markets or config paths
+ */
+function applyOptions(config, options) {
+  if (options.markets.length > 0) {
+    const known = config.markets.map(m => m.id);
+    const unknown = options.markets.filter(id => !known.includes(id));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown market(s): ${unknown.join(', ')} (available: ${known.join(', ')})`);
+    }
+    config.markets = config.markets.filter(m => options.markets.includes(m.id));
+  }
+
+  for (const [configPath, raw] of options.overrides) {
+    applyOverride(config, configPath, raw);
+  }
+
+  if (options.outputDir) {
+    // History, profiles and the run report follow the market files
+    config.output.directory = options.outputDir;
+    config.output.historyDirectory = path.join(options.outputDir, 'history');
+    config.output.profilesDirectory = path.join(options.outputDir, 'profiles');
+    config.alerts.reportFile = path.join(options.outputDir, 'run-report.json');
+  }
+
+  if (options.replayDir) config.api.replayDir = options.replayDir;
+  if (options.recordDir) config.api.recordDir = options.recordDir;
+
+  if (options.test) {
+    config.api.replayDir = config.api.replayDir || config.api.sampleFixtureDir;
+    config.cache.rentEstimates.enabled = false;
+    config.calibration.enabled = false;
+  }
+}
+
+/**
+ * Build the --json summary from a run
+ *
+ * @param {Object} runReport - Completed run report
+ * @param {Object} results - Market outputs keyed by market id
+ * @param {Object} options - Parsed CLI options
+ * @param {Object} [profileResults] - Investor profile outputs keyed by profile id
+ * @returns {Object} - JSON-serializable summary
+ */
+function buildJsonSummary(runReport, results, options, profileResults = {}) {
+  return {
+    status: runReport.status,
+    mode: runReport.mode,
+    dryRun: options.dryRun,
+    overrides: Object.fromEntries(options.overrides),
+    apiCalls: runReport.apiCalls,
+    rentCache: runReport.rentCache,
+    markets: runReport.markets.map(entry => {
+      const output = results[entry.id];
+      return {
+        id: entry.id,
+        name: entry.name,
+        status: entry.status,
+        stages: entry.stages,
+        summary: output.summary,
+        deals: output.deals.map(summarizeDeal),
+      };
+    }),
+    profiles: runReport.profiles.map(entry => {
+      const output = profileResults[entry.id];
+      return {
+        id: entry.id,
+        name: entry.name,
+        status: entry.status,
+        summary: output ? output.summary : null,
+        deals: output ? output.deals.map(summarizeDeal) : [],
+      };
+    }),
+  };
+}
+
+function summarizeDeal(deal) {
+  return {
+    rank: deal.rank,
+    id: deal.id,
+    address: deal.address,
+    price: deal.price,
+    estMonthlyRent: deal.estMonthlyRent,
+    grossYield: deal.grossYield,
+    cashOnCash: deal.cashOnCash,
+    score: deal.score,
+  };
+}
+
+module.exports = {
+  USAGE,
+  parseCliArgs,
+  applyOptions,
+  applyOverride,
+  buildJsonSummary,
+};
@@ -0,0 +1,111 @@
+/**
+ * Price-per-sqft Comparables
+ *
+ * Checks each analyzed deal's list price against the other listings fetched
+ * for its market this run: same zip, bedrooms within bedroomTolerance and
+ * square footage within sqftTolerancePct. A deal gets the median comp $/sqft,
+ * its percentile among the comps and the closest few comps.
+ *
+ * A listing under farBelowRatio of the comp median is flagged
+ * `farBelowComps`: far more often a data error (missing digit, land-only
+ * price, auction opening bid) than a real bargain.
+ */
+
+const config = require('./config');
+const address = require('./address');
+const { median, round } = require('./numbers');
+
+function settings() {
+  return config.comps;
+}
+
+function pricePerSqft(listing) {
+  return listing.price / listing.squareFootage;
+}
+
+/**
+ * Comparable listings for a listing, closest in size first
+ *
+ * @param {Object} listing - Listing with zipCode, bedrooms, squareFootage
+ * @param {Array} pool - Listings fetched for the market
+ * @returns {Array} - Comparable listings (the listing itself excluded)
+ */
+function findComps(listing, pool) {
+  const { bedroomTolerance, sqftTolerancePct } = settings();
+  const key = address.propertyKey(listing);
+
+  return pool
+    .filter(other =>
+      other.zipCode === listing.zipCode &&
+      other.price && other.squareFootage &&
+      (listing.bedrooms == null || other.bedrooms == null || Math.abs(other.bedrooms - listing.bedrooms) <= bedroomTolerance) &&
+      Math.abs(other.squareFootage - listing.squareFootage) <= listing.squareFootage * sqftTolerancePct &&
+      address.propertyKey(other) !== key
+    )
+    .sort((a, b) => Math.abs(a.squareFootage - listing.squareFootage) - Math.abs(b.squareFootage - listing.squareFootage));
+}
+
+/**
+ * Compare a listing's price/sqft with its comps
+ *
+ * @param {Object} listing - Listing with price and squareFootage
+ * @param {Array} pool - Listings fetched for the market
+ * @returns {Object|null} - Comp summary, or null when there are fewer than minComps
+ */
+function compareToComps(listing, pool) {
+  const { minComps, listed, farBelowRatio } = settings();
+  if (!listing.squareFootage) return null;
+
+  const comps = findComps(listing, pool);
+  if (comps.length < minComps) return null;
+
+  const own = pricePerSqft(listing);
+  const compMedian = median(comps.map(pricePerSqft));
+  const cheaper = comps.filter(comp => pricePerSqft(comp) < own).length;
+
+  return {
+    count: comps.length,
+    pricePerSqft: round(own, 2),
+    medianPricePerSqft: round(compMedian, 2),
+    // Share of comps listed at a lower $/sqft
+    percentile: round((cheaper / comps.length) * 100),
+    ratioToMedian: round(own / compMedian, 2),
+    farBelowComps: own < compMedian * farBelowRatio,
+    closest: comps.slice(0, listed).map(comp => ({
+      id: address.stableId(comp),
+      address: comp.formattedAddress || comp.addressLine1,
+      price: comp.price,
+      bedrooms: comp.bedrooms ?? null,
+      squareFootage: comp.squareFootage,
+      pricePerSqft: round(pricePerSqft(comp), 2),
+      daysOnMarket: comp.daysOnMarket ?? null,
+    })),
+  };
+}
+
+/**
+ * Stage: attach comps to each analyzed listing
+ *
+ * @param {Array} listings - Listings with investment metrics
+ * @param {Array} pool - All (de-duplicated) listings fetched for the market
+ * @returns {Array} - Listings with a `comps` property (null without enough comps)
+ */
+function attachComps(listings, pool) {
+  console.log(`\n📐 Checking price/sqft against comparable listings...`);
+  const checked = listings.map(listing => ({ ...listing, comps: compareToComps(listing, pool) }));
+
+  const compared = checked.filter(listing => listing.comps).length;
+  const farBelow = checked.filter(listing => listing.comps && listing.comps.farBelowComps);
+  console.log(`  ✓ ${compared} of ${checked.length} have ${settings().minComps}+ comps`);
+  for (const listing of farBelow) {
+    console.log(`  ⚠️  ${listing.formattedAddress || listing.addressLine1} is listed at ${listing.comps.ratioToMedian}x comp $/sqft; check for a data error`);
+  }
+
+  return checked;
+}
+
+module.exports = {
+  findComps,
+  compareToComps,
+  attachComps,
+};
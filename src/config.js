@@ -7,39 +7,83 @@
 module.exports = {
   // RentCast API Configuration
   api: {
-    baseUrl: 'https://api.rentcast.io/v1',
+    // Override with RENTCAST_BASE_URL to point at a local stub server
+    baseUrl: process.env.RENTCAST_BASE_URL || 'https://api.rentcast.io/v1',
     // API key will be loaded from environment variable
     requestDelay: 250, // ms between requests (to respect rate limits)
+    
+    // Retries for rate limits (429) and server errors (5xx)
+    // Waits Retry-After when the API sends it, otherwise backs off exponentially
+    retry: {
+      maxRetries: 3,
+      baseDelayMs: 1000,
+      maxDelayMs: 30000,
+    },
+    
+    // Hard cap on API calls per run (including retries). Once reached,
+    // rent enrichment falls back to cached estimates. 0 = no limit.
+    maxCallsPerRun: 1000,
+
+    // Serve recorded responses from this directory instead of calling the API
+    // (no network, no API credits). See src/replay.js for the fixture layout.
+    replayDir: process.env.RENTCAST_REPLAY_DIR || null,
+
+    // Save every live response into this directory for later replay
+    recordDir: process.env.RENTCAST_RECORD_DIR || null,
+
+    // Sample week used by `npm test` (node src/index.js --test)
+    sampleFixtureDir: './fixtures/sample-week',
   },
 
-  // Market Definitions
-  // Each market will get its own "Top 10" list
-  markets: [
+  // Market Definitions (markets.json)
+  // Each market gets its own "Top 10" list and deals file. Markets are
+  // defined once, in markets.json: id, name, cities, zipCodes, and
+  // optionally `search`, `ranking`, `file` (defaults to <id>-deals.json)
+  // and `notes`.
+  //
+  // `search` picks the listing queries (see marketArea.js): "cities" (the
+  // default), "zipCodes", or a radius in miles around a point:
+  //   "search": { "by": "radius", "latitude": 30.9471, "longitude": -97.5386, "radius": 8 }
+  // Zip code and radius results are limited to the market's zip codes or
+  // circle.
+  //
+  // A market can override any `filters`, `analysis` or `financing` value
+  // below, and `zipOverrides` can override them again for a single zip:
+  //   "analysis": { "propertyTaxRate": 0.0248 },
+  //   "zipOverrides": { "76513": { "analysis": { "heuristicRentPerSqft": 0.95 } } }
+  markets: require('../markets.json').markets,
+
+  // Investor Profiles
+  // Each profile is a client buy box, evaluated against the listings already
+  // fetched for the markets above (no extra listing calls) and written to
+  // data/profiles/<id>-deals.json. A profile can set its own `filters`,
+  // `analysis` and `financing` (applied over market and zip values; filters
+  // can only narrow the fetched listings), a `ranking`, and `markets` to
+  // limit which markets it covers (all by default).
+  profiles: [
     {
-      id: 'temple-belton',
-      name: 'Temple / Belton',
-      cities: [
-        { city: 'Temple', state: 'TX' },
-        { city: 'Belton', state: 'TX' },
-      ],
-      // Zip codes for reference (API uses city names)
-      zipCodes: ['76501', '76502', '76503', '76504', '76513'],
+      id: 'cash-under-150k',
+      name: 'Cash Buyers Under $150k',
+      description: 'All-cash purchases under $150k, ranked on cap rate',
+      filters: { maxPrice: 150000 },
+      financing: { downPaymentPct: 1.0, closingCostPct: 0.02 },
+      ranking: 'capRate',
     },
     {
-      id: 'harker-heights',
-      name: 'Harker Heights',
-      cities: [
-        { city: 'Harker Heights', state: 'TX' },
-      ],
-      zipCodes: ['76548'],
+      id: 'brrrr',
+      name: 'BRRRR Investors',
+      description: 'Lower-priced homes bought with 25% down, ranked on cash-on-cash return',
+      filters: { maxPrice: 180000 },
+      financing: { downPaymentPct: 0.25 },
+      ranking: 'cashOnCash',
     },
     {
-      id: 'killeen',
-      name: 'Killeen',
-      cities: [
-        { city: 'Killeen', state: 'TX' },
-      ],
-      zipCodes: ['76540', '76541', '76542', '76543', '76549'],
+      id: 'military-4-bed',
+      name: '4-Bed Near Fort Cavazos',
+      description: '4+ bedroom homes in Killeen and Harker Heights for military families',
+      markets: ['killeen', 'harker-heights'],
+      filters: { minBedrooms: 4 },
+      ranking: 'grossYield',
     },
   ],
 
@@ -58,8 +102,12 @@ module.exports = {
     // Minimum beds (typically 3+ for rentals)
     minBedrooms: 2,
     
-    // Max listings to fetch per city
+    // Listings per request (RentCast maximum is 500); pages are
+    // fetched by offset until a short page comes back
     limitPerCity: 500,
+    
+    // Safety cap on pages fetched per search (city, zip code or radius)
+    maxPagesPerCity: 10,
   },
 
   // Analysis Parameters
@@ -68,7 +116,8 @@ module.exports = {
     minYieldThreshold: 6.0,
     
     // Heuristic rent estimate ($/sqft) for pre-filtering
-    // Used before calling the expensive AVM endpoint
+    // Used before calling the expensive AVM endpoint, until enough
+    // AVM results have been collected to calibrate it (see `calibration`)
     heuristicRentPerSqft: 1.00,
     
     // How many properties to get detailed rent estimates for
@@ -78,23 +127,220 @@ module.exports = {
     // How many deals to include in final output
     topDealsCount: 10,
     
-    // Texas property tax rate for cash flow estimates
+    // Texas property tax rate for cash flow estimates (markets override this)
     propertyTaxRate: 0.024, // 2.4%
     
+    // Apply the tax rate to the county's assessed value when RentCast has
+    // one (otherwise to the price)
+    useAssessedValue: true,
+    
     // Estimated vacancy rate
     vacancyRate: 0.08, // 8%
     
     // Property management fee
     managementFee: 0.10, // 10%
+    
+    // Insurance estimate: 'sqft' (insurancePerSqft, more for older homes)
+    // or 'rate' (insuranceRate × price)
+    insuranceModel: 'sqft',
+    
+    // Annual landlord policy per square foot
+    insurancePerSqft: 1.20, // ~$1,800/yr on 1,500 sqft
+    
+    // Older homes cost more to insure (roof, wiring, plumbing); the first
+    // band the home was built before applies
+    insuranceAgeFactors: [
+      { builtBefore: 1960, factor: 1.4 },
+      { builtBefore: 1980, factor: 1.25 },
+      { builtBefore: 2000, factor: 1.1 },
+    ],
+    
+    // Annual insurance as a share of purchase price ('rate' model, and
+    // homes without square footage)
+    insuranceRate: 0.0072, // 0.72% (~$1,800/yr on $250k)
+    
+    // Maintenance reserve as a share of gross rent
+    maintenanceReserve: 0.05, // 5%
+    
+    // Capital expenditure reserve (roof, HVAC, water heater) as a share of gross rent
+    capexReserve: 0.05, // 5%
+  },
+
+  // Operating Expenses
+  // Lines deducted from gross rent for NOI and cash flow, in this order
+  // (see expenses.js). HOA fees come from the listing when RentCast has one.
+  expenses: {
+    lines: ['vacancy', 'propertyTax', 'insurance', 'hoa', 'management', 'maintenance', 'capex'],
+  },
+
+  // Multi-Family Analysis
+  // Multi-family listings get one AVM estimate per unit layout, summed
+  multiFamily: {
+    // Used when neither the listing nor its address reveals the unit count
+    defaultUnitCount: 2,
+    // Small multifamily only; larger counts are treated as this many units
+    maxUnitCount: 4,
+  },
+
+  // Ranking Strategies
+  // Markets pick one by name (ranking: 'capRate') or with overrides
+  // (ranking: { strategy: 'composite', agePenaltyPerYear: 0.1 })
+  // Available: grossYield, cashOnCash, capRate, allInYield, composite
+  ranking: {
+    defaultStrategy: 'grossYield',
+    
+    // Composite score = base metric minus penalties (in percentage points)
+    composite: {
+      baseMetric: 'grossYield',
+      
+      // Homes older than this lose agePenaltyPerYear per extra year
+      ageGraceYears: 40,
+      agePenaltyPerYear: 0.05,
+      
+      // Listings on market longer than this lose daysOnMarketPenaltyPerDay per extra day
+      daysOnMarketGraceDays: 60,
+      daysOnMarketPenaltyPerDay: 0.01,
+      
+      // Per 1% of (rentRangeHigh - rentRangeLow) / rent
+      rentSpreadPenaltyPerPct: 0.05,
+    },
+  },
+
+  // Financing Assumptions
+  // Used for leveraged metrics (cash-on-cash, DSCR, cash flow after debt service)
+  financing: {
+    downPaymentPct: 0.20, // 20% down
+    interestRate: 0.06875, // 6.875% fixed
+    loanTermYears: 30,
+    closingCostPct: 0.03, // 3% of price, paid in cash
+  },
+
+  // Sensitivity & Stress Scenarios
+  // Every deal is also evaluated at the low/high end of its AVM rent range,
+  // with higher vacancy, with an interest rate shock, and all three at once
+  // (the downside case)
+  scenarios: {
+    vacancyIncrease: 0.05, // +5 points of vacancy
+    rateShock: 0.01, // +1 point on the interest rate
+    
+    // What to do with deals whose downside case cash-flows negative:
+    //   'flag'    - only mark them (downsideCashFlowNegative)
+    //   'demote'  - rank them below every deal that survives the downside
+    //   'exclude' - leave them out of the top deals
+    downsideAction: 'demote',
+  },
+
+  // Comparable Listings
+  // Each analyzed deal's price/sqft is compared with the other listings in
+  // its zip with similar bedrooms and square footage
+  comps: {
+    bedroomTolerance: 1, // +/- bedrooms
+    sqftTolerancePct: 0.25, // +/- 25% square footage
+    minComps: 3, // Fewer comps than this and no comparison is made
+    listed: 5, // Closest comps included with each deal
+    
+    // Listings under this share of the comp median $/sqft are flagged
+    // farBelowComps (usually a data error, not a bargain) and then:
+    //   'flag', 'demote' (rank below all other deals) or 'exclude'
+    farBelowRatio: 0.5,
+    farBelowAction: 'demote',
+  },
+
+  // Rehab & Distressed Properties
+  // Candidates are scored on distress signals: description keywords (count
+  // double), age over oldHomeYears, staleDays or more on the market, and a
+  // price/sqft under belowMarketRatio of the zip median. The score sets the
+  // rehab level (1 light, 2 moderate, 3+ heavy) and its cost band.
+  rehab: {
+    enabled: true,
+    keywords: ['as-is', 'as is', 'investor special', 'cash only', 'handyman special', 'fixer upper', 'needs work', 'tlc'],
+    oldHomeYears: 35,
+    staleDays: 120,
+    belowMarketRatio: 0.75,
+    
+    // Flag as likely distressed at this score or higher
+    distressedScore: 2,
+    
+    // Rehab cost per sqft [low, high] by level
+    costPerSqft: {
+      light: [5, 15], // paint, flooring, fixtures
+      moderate: [20, 40], // kitchen, baths, systems
+      heavy: [45, 75], // roof, foundation, full gut
+    },
+    
+    // BRRRR: buy with cash, rehab, rent, refinance at this share of the
+    // after-repair value (rate and term from financing)
+    brrrr: {
+      refinanceLtv: 0.75,
+      refinanceCostPct: 0.02, // of the new loan
+    },
+  },
+
+  // Caching
+  cache: {
+    // AVM rent estimates reused across runs (committed by the weekly workflow)
+    rentEstimates: {
+      enabled: true,
+      file: './cache/rent-estimates.json',
+      ttlDays: 30, // Re-fetch estimates older than this
+    },
+  },
+
+  // Run Report & Alerting
+  alerts: {
+    // Machine-readable report of every run (per-market status, funnel counts, API usage)
+    reportFile: './data/run-report.json',
+    
+    // Written whenever a market fails or degrades (removed after a clean run)
+    payloadFile: './alert-payload.json',
+    
+    // Optional webhook that receives the alert payload (Slack/Teams-compatible `text`)
+    webhookUrl: process.env.ALERT_WEBHOOK_URL || null,
+    
+    // Exit with code 2 when any market degrades so the workflow run fails
+    failOnDegraded: true,
+  },
+
+  // Heuristic Calibration
+  // Fits rent/sqft by zip + bedrooms from past AVM estimates and uses it in
+  // place of heuristicRentPerSqft (which remains the fallback)
+  calibration: {
+    enabled: true,
+    observationsFile: './cache/rent-observations.json',
+    maxAgeDays: 180, // Ignore AVM estimates older than this
+    minSamples: 3, // Estimates needed before a zip/bedroom group is trusted
   },
 
   // Output Configuration
   output: {
     directory: './data',
-    files: {
-      'temple-belton': 'temple-belton-deals.json',
-      'harker-heights': 'harker-heights-deals.json',
-      'killeen': 'killeen-deals.json',
+    // Dated snapshots and per-market history index
+    historyDirectory: './data/history',
+    // Market files are named in markets.json (default <id>-deals.json)
+
+    // Lists the markets, their files and freshness; index.html builds its tabs from it
+    manifestFile: 'manifest.json',
+
+    // One deals file per investor profile
+    profilesDirectory: './data/profiles',
+
+    // Per-market and per-zip listing statistics (used by tools/neighborhood-comparison.html)
+    statsFile: 'market-stats.json',
+
+    // Cross-market ranking and exports, built from the published market files
+    combined: {
+      enabled: true,
+      file: 'all-markets-deals.json',
+      csvFile: 'all-markets-deals.csv',
+      feedFile: 'deals.atom',
+      topDealsCount: 25,
+      // Markets may rank differently, so deals are re-scored on one strategy
+      ranking: 'grossYield',
+      feed: {
+        title: 'Central Texas Investment Deals',
+        // Public page linked from the feed (e.g. your GitHub Pages URL)
+        siteUrl: process.env.SITE_URL || null,
+      },
     },
   },
 };
@@ -0,0 +1,164 @@
+/**
+ * Operating Expense Model
+ *
+ * Itemizes a property's annual operating expenses for NOI, cash flow and
+ * the per-deal breakdown. Each line is a function of the property, its rent
+ * and price and the effective analysis parameters, and returns the annual
+ * amount and a readable basis:
+ *
+ * - vacancy, management, maintenance, capex: shares of gross rent
+ * - propertyTax: the county's assessed value when RentCast has one,
+ *   otherwise the price, times propertyTaxRate. The seller's tax bill is
+ *   never used: it reflects their homestead exemption, which an investor
+ *   loses.
+ * - insurance: by square footage with a surcharge for older homes (Bell
+ *   County carriers price roof and wiring age), or a share of price
+ *   (insuranceModel: 'rate')
+ * - hoa: the listing's HOA fee
+ *
+ * New lines go in `lines` and in config.expenses.lines.
+ */
+
+const config = require('./config');
+const { round } = require('./numbers');
+
+function percent(rate) {
+  return `${round(rate * 100, 2)}%`;
+}
+
+function dollars(value) {
+  return `$${round(value).toLocaleString('en-US')}`;
+}
+
+/**
+ * Most recent assessed value from a listing's tax assessments
+ *
+ * @param {Object} listing - Listing (RentCast `taxAssessments` keyed by year)
+ * @returns {Object|null} - { year, value } or null when RentCast has none
+ */
+function latestAssessment(listing) {
+  const years = Object.keys(listing.taxAssessments || {})
+    .filter(year => listing.taxAssessments[year] && listing.taxAssessments[year].value > 0)
+    .sort();
+  if (years.length === 0) return null;
+
+  const year = years[years.length - 1];
+  return { year: Number(year), value: listing.taxAssessments[year].value };
+}
+
+/**
+ * Monthly HOA fee from a listing (0 when none is listed)
+ */
+function hoaFee(listing) {
+  return (listing.hoa && listing.hoa.fee) || 0;
+}
+
+// Insurance estimates by model
+const insuranceModels = {
+  rate({ price, analysis }) {
+    return { annual: price * analysis.insuranceRate, basis: `${percent(analysis.insuranceRate)} of price` };
+  },
+
+  sqft({ property, price, analysis }) {
+    if (!property.squareFootage) return insuranceModels.rate({ price, analysis });
+
+    const band = property.yearBuilt
+      ? analysis.insuranceAgeFactors.find(b => property.yearBuilt < b.builtBefore)
+      : null;
+    const factor = band ? band.factor : 1;
+    const annual = property.squareFootage * analysis.insurancePerSqft * factor;
+    const surcharge = band ? ` × ${factor} (built before ${band.builtBefore})` : '';
+    return { annual, basis: `${property.squareFootage.toLocaleString('en-US')} sqft × $${analysis.insurancePerSqft.toFixed(2)}/sqft${surcharge}` };
+  },
+};
+
+function rentShare(field, label) {
+  return ({ grossIncome, analysis }) => ({
+    annual: grossIncome * analysis[field],
+    basis: `${percent(analysis[field])} of ${label}`,
+  });
+}
+
+// Expense lines: ({ property, price, grossIncome, analysis }) => { annual, basis }
+const lines = {
+  vacancy: rentShare('vacancyRate', 'rent'),
+
+  propertyTax({ property, price, analysis }) {
+    const assessment = analysis.useAssessedValue ? latestAssessment(property) : null;
+    if (assessment) {
+      return {
+        annual: assessment.value * analysis.propertyTaxRate,
+        basis: `${assessment.year} assessed value ${dollars(assessment.value)} × ${percent(analysis.propertyTaxRate)}`,
+      };
+    }
+    return { annual: price * analysis.propertyTaxRate, basis: `${percent(analysis.propertyTaxRate)} of price` };
+  },
+
+  insurance(context) {
+    const model = insuranceModels[context.analysis.insuranceModel];
+    if (!model) {
+      throw new Error(`Unknown insurance model "${context.analysis.insuranceModel}" (available: ${Object.keys(insuranceModels).join(', ')})`);
+    }
+    return model(context);
+  },
+
+  hoa({ property }) {
+    const fee = hoaFee(property);
+    return { annual: fee * 12, basis: fee > 0 ? `${dollars(fee)}/month from listing` : 'none listed' };
+  },
+
+  management: rentShare('managementFee', 'rent'),
+  maintenance: rentShare('maintenanceReserve', 'rent'),
+  capex: rentShare('capexReserve', 'rent'),
+};
+
+/**
+ * Itemized annual operating expenses
+ *
+ * @param {number} monthlyRent - Monthly rental income
+ * @param {number} price - Purchase price (or value, e.g. the ARV after a refinance)
+ * @param {Object} analysis - Analysis parameters (defaults to config.analysis)
+ * @param {Object} [property] - Listing facts: squareFootage, yearBuilt, hoa, taxAssessments
+ * @returns {Object} - { lines: { <line>: { annual, basis } }, total }
+ */
+function calculateExpenses(monthlyRent, price, analysis = config.analysis, property = {}) {
+  const context = { property, price, grossIncome: monthlyRent * 12, analysis };
+  const result = {};
+  let total = 0;
+
+  for (const name of config.expenses.lines) {
+    if (!lines[name]) {
+      throw new Error(`Unknown expense line "${name}" (available: ${Object.keys(lines).join(', ')})`);
+    }
+    const { annual, basis } = lines[name](context);
+    result[name] = { annual, basis };
+    total += annual;
+  }
+
+  return { lines: result, total };
+}
+
+/**
+ * Rounded expense breakdown for output
+ *
+ * @param {Object} expenses - Output from calculateExpenses
+ * @returns {Object} - { <line>: { annual, monthly, basis }, totalAnnual, totalMonthly }
+ */
+function formatExpenses(expenses) {
+  const breakdown = {};
+  for (const [name, { annual, basis }] of Object.entries(expenses.lines)) {
+    breakdown[name] = { annual: round(annual), monthly: round(annual / 12), basis };
+  }
+  return {
+    ...breakdown,
+    totalAnnual: round(expenses.total),
+    totalMonthly: round(expenses.total / 12),
+  };
+}
+
+module.exports = {
+  latestAssessment,
+  hoaFee,
+  calculateExpenses,
+  formatExpenses,
+};
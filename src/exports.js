@@ -0,0 +1,221 @@
+/**
+ * Combined Exports
+ *
+ * Builds a cross-market view from the published market files:
+ * - all-markets-deals.json - top deals across every market, re-ranked on one strategy
+ * - all-markets-deals.csv  - the same deals as a spreadsheet
+ * - deals.atom             - Atom feed of the combined top deals
+ *
+ * Everything is generated from the per-market outputs main() already has,
+ * so no extra API calls are made.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const ranking = require('./ranking');
+const { round } = require('./numbers');
+
+// CSV columns: [header, value getter]
+const CSV_COLUMNS = [
+  ['rank', d => d.rank],
+  ['market', d => d.marketName],
+  ['marketRank', d => d.marketRank],
+  ['address', d => d.address],
+  ['city', d => d.city],
+  ['state', d => d.state],
+  ['zipCode', d => d.zipCode],
+  ['latitude', d => d.latitude],
+  ['longitude', d => d.longitude],
+  ['propertyType', d => d.propertyType],
+  ['price', d => d.price],
+  ['bedrooms', d => d.bedrooms],
+  ['bathrooms', d => d.bathrooms],
+  ['squareFootage', d => d.squareFootage],
+  ['yearBuilt', d => d.yearBuilt],
+  ['unitCount', d => d.unitCount],
+  ['estMonthlyRent', d => d.estMonthlyRent],
+  ['grossYield', d => d.grossYield],
+  ['estMonthlyCashFlow', d => d.estMonthlyCashFlow],
+  ['annualExpenses', d => d.expenses && d.expenses.totalAnnual],
+  ['annualPropertyTax', d => d.expenses && d.expenses.propertyTax && d.expenses.propertyTax.annual],
+  ['annualInsurance', d => d.expenses && d.expenses.insurance && d.expenses.insurance.annual],
+  ['monthlyHoa', d => d.expenses && d.expenses.hoa && d.expenses.hoa.monthly],
+  ['downsideMonthlyCashFlow', d => d.scenarios && d.scenarios.downside.monthlyCashFlow],
+  ['downsideCashFlowNegative', d => d.downsideCashFlowNegative],
+  ['pricePerSqft', d => d.comps && d.comps.pricePerSqft],
+  ['compsPercentile', d => d.comps && d.comps.percentile],
+  ['farBelowComps', d => d.comps && d.comps.farBelowComps],
+  ['allInYield', d => d.allInYield],
+  ['distressed', d => d.rehab && d.rehab.distressed],
+  ['rehabCostMid', d => d.rehab && d.rehab.costMid],
+  ['arv', d => d.rehab && d.rehab.arv],
+  ['brrrrCashLeftIn', d => d.rehab && d.rehab.brrrr && d.rehab.brrrr.cashLeftIn],
+  ['capRate', d => d.capRate],
+  ['cashOnCash', d => d.cashOnCash],
+  ['dscr', d => d.dscr],
+  ['grm', d => d.grm],
+  ['meetsOnePercentRule', d => d.meetsOnePercentRule],
+  ['score', d => d.score],
+  ['daysOnMarket', d => d.daysOnMarket],
+  ['listingDate', d => d.listingDate],
+  ['status', d => d.history && d.history.status],
+  ['priceChange', d => d.history && d.history.priceChange],
+  ['listingUrl', d => d.listingUrl],
+  ['id', d => d.id],
+];
+
+function settings() {
+  return config.output.combined;
+}
+
+/**
+ * Rank the deals of all markets together
+ *
+ * @param {Array} outputs - Published market outputs
+ * @returns {Object} - Combined output with markets, summary and re-ranked deals
+ */
+function createCombinedOutput(outputs) {
+  const combinedRanking = ranking.resolveRanking(settings().ranking);
+
+  const deals = outputs
+    .flatMap(output => output.deals.map(deal => {
+      // Output deals name the AVM rent estMonthlyRent; strategies read rentEstimate
+      const { score, breakdown } = ranking.scoreDeal({ ...deal, rentEstimate: deal.estMonthlyRent }, combinedRanking);
+      return { ...deal, marketRank: deal.rank, score, scoreBreakdown: breakdown };
+    }))
+    // Same downside demotion as the market rankings (see config.scenarios)
+    .sort((a, b) => ranking.demotionTier(a) - ranking.demotionTier(b) || b.score - a.score || a.price - b.price)
+    .slice(0, settings().topDealsCount)
+    .map((deal, index) => ({ ...deal, rank: index + 1 }));
+
+  const average = values => values.length > 0
+    ? round(values.reduce((sum, v) => sum + v, 0) / values.length, 1)
+    : 0;
+
+  return {
+    lastUpdated: new Date().toISOString(),
+    ranking: combinedRanking,
+    markets: outputs.map(output => ({
+      id: output.market.id,
+      name: output.market.name,
+      lastUpdated: output.lastUpdated,
+      totalDeals: output.deals.length,
+    })),
+    summary: {
+      totalDeals: deals.length,
+      avgGrossYield: average(deals.map(d => d.grossYield)),
+      avgPrice: round(average(deals.map(d => d.price))),
+      topYield: deals.length > 0 ? Math.max(...deals.map(d => d.grossYield)) : 0,
+      lowestPrice: deals.length > 0 ? Math.min(...deals.map(d => d.price)) : 0,
+    },
+    deals,
+  };
+}
+
+function csvValue(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render combined deals as CSV (one row per deal, header first)
+ *
+ * @param {Object} combined - Output from createCombinedOutput
+ * @returns {string} - CSV text
+ */
+function toCsv(combined) {
+  const rows = [CSV_COLUMNS.map(([header]) => header)];
+  for (const deal of combined.deals) {
+    rows.push(CSV_COLUMNS.map(([, get]) => get(deal)));
+  }
+  return rows.map(row => row.map(csvValue).join(',')).join('\r\n') + '\r\n';
+}
+
+function xmlEscape(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function money(n) {
+  return n === null || n === undefined ? 'n/a' : (n < 0 ? '-$' : '$') + Math.abs(round(n)).toLocaleString('en-US');
+}
+
+/**
+ * Render combined deals as an Atom feed. Entry ids are stable per deal, so
+ * feed readers only show a deal as new the first time it makes the list.
+ *
+ * @param {Object} combined - Output from createCombinedOutput
+ * @returns {string} - Atom XML
+ */
+function toAtomFeed(combined) {
+  const feed = settings().feed;
+
+  const entries = combined.deals.map(deal => {
+    const text = [
+      `${money(deal.price)} | est. rent ${money(deal.estMonthlyRent)}/mo | ${deal.grossYield}% gross yield`,
+      `Cash flow ${money(deal.estMonthlyCashFlow)}/mo | cap rate ${deal.capRate}% | cash-on-cash ${deal.cashOnCash}%`,
+      `${deal.bedrooms ?? '?'} bd / ${deal.bathrooms ?? '?'} ba, ${deal.squareFootage ?? '?'} sqft, ${deal.propertyType || 'unknown type'}`,
+    ].join('\n');
+    const link = deal.listingUrl || feed.siteUrl;
+
+    return [
+      '  <entry>',
+      `    <id>urn:deal:${encodeURIComponent(deal.marketId)}:${encodeURIComponent(deal.id)}</id>`,
+      `    <title>#${deal.rank} ${xmlEscape(deal.address)} (${deal.grossYield}% yield)</title>`,
+      `    <updated>${combined.lastUpdated}</updated>`,
+      deal.history && deal.history.firstSeen ? `    <published>${deal.history.firstSeen}</published>` : null,
+      link ? `    <link href="${xmlEscape(link)}"/>` : null,
+      `    <category term="${xmlEscape(deal.marketId)}" label="${xmlEscape(deal.marketName)}"/>`,
+      `    <content type="text">${xmlEscape(text)}</content>`,
+      '  </entry>',
+    ].filter(Boolean).join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <id>urn:deals:${xmlEscape(feed.title.toLowerCase().replace(/[^a-z0-9]+/g, '-'))}</id>`,
+    `  <title>${xmlEscape(feed.title)}</title>`,
+    `  <updated>${combined.lastUpdated}</updated>`,
+    feed.siteUrl ? `  <link href="${xmlEscape(feed.siteUrl)}"/>` : null,
+    `  <author><name>${xmlEscape(feed.title)}</name></author>`,
+    ...entries,
+    '</feed>',
+    '',
+  ].filter(line => line !== null).join('\n');
+}
+
+/**
+ * Write the combined JSON, CSV and Atom feed to the output directory
+ *
+ * @param {Object} combined - Output from createCombinedOutput
+ * @returns {Array<string>} - Paths written
+ */
+function writeExports(combined) {
+  fs.mkdirSync(config.output.directory, { recursive: true });
+
+  const files = [
+    [settings().file, JSON.stringify(combined, null, 2)],
+    [settings().csvFile, toCsv(combined)],
+    [settings().feedFile, toAtomFeed(combined)],
+  ];
+
+  return files.map(([filename, contents]) => {
+    const outputPath = path.join(config.output.directory, filename);
+    fs.writeFileSync(outputPath, contents);
+    console.log(`  ✓ Written to ${outputPath}`);
+    return outputPath;
+  });
+}
+
+module.exports = {
+  createCombinedOutput,
+  toCsv,
+  toAtomFeed,
+  writeExports,
+};
@@ -0,0 +1,141 @@
+/**
+ * Deal History Module
+ *
+ * Tracks deals from week to week:
+ * - Compares each run against the previously published market file and
+ *   marks every deal as new or returning, with any price change
+ * - Archives a dated snapshot of each market output
+ * - Maintains a per-market index of snapshots
+ *
+ * Snapshot layout:
+ *   data/history/<market-id>/2026-02-01.json
+ *   data/history/<market-id>/index.json
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const address = require('./address');
+const { round } = require('./numbers');
+
+/**
+ * Load the previously published output for a market
+ *
+ * @param {string} outputPath - Path to the market's deals file
+ * @returns {Object|null} - Previous output or null if none exists
+ */
+function loadPreviousOutput(outputPath) {
+  if (!fs.existsSync(outputPath)) return null;
+
+  try {
+    return JSON.parse(fs.readFileSync(outputPath, 'utf-8'));
+  } catch (error) {
+    console.error(`  ✗ Could not read previous output ${outputPath}: ${error.message}`);
+    return null;
+  }
+}
+
+function previousId(deal) {
+  return address.stableId({ address: deal.address, zipCode: deal.zipCode });
+}
+
+/**
+ * Mark each deal as new or returning and record price changes
+ *
+ * @param {Object} output - Market output from createMarketOutput
+ * @param {Object|null} previous - Previous market output
+ * @returns {Object} - Output with `history` on each deal and a `changes` summary
+ */
+function annotateChanges(output, previous) {
+  // Keyed by each previous deal's stable id, recomputed from its address so
+  // files written with older id formats (or a relisted address) still match
+  const previousDeals = new Map(((previous && previous.deals) || []).map(deal => [previousId(deal), deal]));
+  const previousRun = previous ? previous.lastUpdated : null;
+
+  const deals = output.deals.map(deal => {
+    const prior = previousDeals.get(deal.id);
+
+    if (!prior) {
+      return {
+        ...deal,
+        history: { status: 'new', firstSeen: output.lastUpdated },
+      };
+    }
+
+    const history = {
+      status: 'returning',
+      firstSeen: (prior.history && prior.history.firstSeen) || previousRun,
+    };
+
+    if (prior.price && prior.price !== deal.price) {
+      history.previousPrice = prior.price;
+      history.priceChange = deal.price - prior.price;
+      history.priceChangePct = round((history.priceChange / prior.price) * 100, 1);
+    }
+
+    return { ...deal, history };
+  });
+
+  const currentIds = new Set(deals.map(deal => deal.id));
+  const removedDeals = [...previousDeals.entries()]
+    .filter(([id]) => !currentIds.has(id))
+    .map(([id, deal]) => ({ id, address: deal.address, price: deal.price }));
+
+  return {
+    ...output,
+    changes: {
+      previousRun,
+      newDeals: deals.filter(deal => deal.history.status === 'new').length,
+      returningDeals: deals.filter(deal => deal.history.status === 'returning').length,
+      priceDrops: deals.filter(deal => deal.history.priceChange < 0).length,
+      priceIncreases: deals.filter(deal => deal.history.priceChange > 0).length,
+      removedDeals,
+    },
+    deals,
+  };
+}
+
+/**
+ * Archive a dated snapshot and update the market's history index
+ *
+ * @param {Object} output - Market output to archive
+ * @param {string} marketId - Market identifier
+ * @returns {string} - Path to the snapshot file
+ */
+function archiveSnapshot(output, marketId) {
+  const marketDir = path.join(config.output.historyDirectory, marketId);
+  fs.mkdirSync(marketDir, { recursive: true });
+
+  // One snapshot per day; a re-run on the same day replaces it
+  const date = output.lastUpdated.slice(0, 10);
+  const snapshotFile = `${date}.json`;
+  const snapshotPath = path.join(marketDir, snapshotFile);
+  fs.writeFileSync(snapshotPath, JSON.stringify(output, null, 2));
+
+  const indexPath = path.join(marketDir, 'index.json');
+  const index = loadPreviousOutput(indexPath) || { market: output.market, snapshots: [] };
+
+  const entry = {
+    date,
+    file: snapshotFile,
+    lastUpdated: output.lastUpdated,
+    totalDeals: output.summary.totalDeals,
+    topYield: output.summary.topYield,
+    avgGrossYield: output.summary.avgGrossYield,
+    newDeals: output.changes ? output.changes.newDeals : null,
+    priceDrops: output.changes ? output.changes.priceDrops : null,
+  };
+
+  index.snapshots = [entry, ...index.snapshots.filter(s => s.date !== date)]
+    .sort((a, b) => b.date.localeCompare(a.date));
+  fs.writeFileSync(indexPath, JSON.stringify(index, null, 2));
+
+  console.log(`  ✓ Archived snapshot to ${snapshotPath}`);
+  return snapshotPath;
+}
+
+module.exports = {
+  loadPreviousOutput,
+  annotateChanges,
+  archiveSnapshot,
+};
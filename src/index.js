@@ -7,9 +7,20 @@
  * 3. Output JSON files for the frontend
  * 
  * Usage:
- *   RENTCAST_API_KEY=your_key node src/index.js
+ *   RENTCAST_API_KEY=your_key node src/index.js [options]
+ *
+ * Replay recorded responses (no network, no API credits):
+ *   node src/index.js --replay ./fixtures/sample-week
+ *
+ * Test run against the bundled sample week (nothing is written to data/):
+ *   node src/index.js --test
+ *
+ * See `node src/index.js --help` (or src/cli.js) for all options.
  * 
  * Or with GitHub Actions (API key stored in secrets)
+ *
+ * Requiring this module (as the tests in test/ do) does not parse the
+ * command line or check the API key; that happens in start().
  */
 
 const fs = require('fs');
@@ -17,65 +28,170 @@ const path = require('path');
 const config = require('./config');
 const rentcast = require('./rentcast');
 const analyze = require('./analyze');
+const history = require('./history');
+const rentCache = require('./rentCache');
+const report = require('./report');
+const schema = require('./schema');
+const combinedExports = require('./exports');
+const marketParams = require('./marketParams');
+const calibration = require('./calibration');
+const address = require('./address');
+const marketStats = require('./marketStats');
+const profiles = require('./profiles');
+const marketDefinitions = require('./markets');
+const rehab = require('./rehab');
+const comps = require('./comps');
+const ranking = require('./ranking');
+const { round } = require('./numbers');
+const cli = require('./cli');
 
-// Verify API key is present
-if (!process.env.RENTCAST_API_KEY) {
-  console.error('❌ Error: RENTCAST_API_KEY environment variable is not set');
-  console.error('   Run with: RENTCAST_API_KEY=your_key node src/index.js');
-  process.exit(1);
-}
+// Command-line options (set by start())
+let options = {};
+// Every market in markets.json, including any left out with --market
+let configuredMarkets = config.markets;
+
+// De-duplicated listings fetched for each market this run (market id ->
+// listings), reused by investor profiles instead of fetching again
+const fetchedListings = new Map();
 
 /**
  * Process a single market through the full analysis pipeline
+ * 
+ * Stage counts, warnings and errors are recorded on marketReport.
+ * `claimed` tracks properties already analyzed by earlier markets this run,
+ * so a property is only ever a deal in one market.
  */
-async function processMarket(market) {
+async function processMarket(market, marketReport, claimed = new Map()) {
   console.log(`\n${'='.repeat(60)}`);
   console.log(`🏠 Processing Market: ${market.name}`);
   console.log(`${'='.repeat(60)}`);
   
+  const { stages, warnings } = marketReport;
+  const params = marketParams.resolveParams(market);
+  let marketRanking = null;
+  
   try {
-    // Stage 1: Fetch all listings for this market
-    const rawListings = await rentcast.getListingsForMarket(market);
+    // Resolved before any API call, so a bad setting costs no credits
+    marketRanking = ranking.resolveRanking(market.ranking);
+    
+    // Stage 1: Fetch all listings for this market, tagged with their
+    // effective (market / zip-level) parameters
+    const rawListings = marketParams.attachParams(await rentcast.getListingsForMarket(market, params.filters), market);
+    stages.rawListings = rawListings.length;
     
     if (rawListings.length === 0) {
       console.log(`⚠️  No listings found for ${market.name}`);
-      return analyze.createMarketOutput([], market);
+      warnings.push('No listings found');
+      return analyze.createMarketOutput([], market, marketRanking);
+    }
+    
+    // Drop the same property listed under two cities, relisted, or already in an earlier market
+    const { listings: uniqueListings, duplicates, claimedElsewhere } = address.dedupeListings(rawListings, claimed);
+    stages.uniqueListings = uniqueListings.length;
+    if (duplicates > 0 || claimedElsewhere > 0) {
+      console.log(`  🔁 Removed ${duplicates} duplicate listings${claimedElsewhere > 0 ? ` and ${claimedElsewhere} already in another market` : ''}`);
     }
     
-    // Stage 2: Apply heuristic filter
-    const filteredListings = analyze.applyHeuristicFilter(rawListings);
+    marketStats.recordListings(market, uniqueListings);
+    fetchedListings.set(market.id, uniqueListings);
+    
+    // Stage 2: Apply heuristic filter (rent/sqft calibrated from past AVM results)
+    const filteredListings = analyze.applyHeuristicFilter(calibration.attachHeuristicRates(uniqueListings));
+    stages.passedHeuristic = filteredListings.length;
     
     if (filteredListings.length === 0) {
       console.log(`⚠️  No listings passed heuristic filter for ${market.name}`);
-      return analyze.createMarketOutput([], market);
+      warnings.push('No listings passed heuristic filter');
+      return analyze.createMarketOutput([], market, marketRanking);
     }
     
     // Stage 3: Select top candidates for deep analysis
-    const topCandidates = analyze.selectTopCandidates(filteredListings);
+    const topCandidates = analyze.selectTopCandidates(filteredListings, params);
+    stages.candidates = topCandidates.length;
     
     // Stage 4: Get actual rent estimates (expensive API calls)
     const withRentEstimates = await rentcast.enrichWithRentEstimates(topCandidates);
+    stages.withRentEstimates = withRentEstimates.length;
+    marketStats.recordRents(market, withRentEstimates);
+    
+    // Learn from the AVM results and check how well the heuristic predicted them
+    calibration.recordObservations(withRentEstimates);
+    calibration.save();
+    marketReport.heuristicAccuracy = calibration.evaluateHeuristic(withRentEstimates);
+    if (marketReport.heuristicAccuracy.samples > 0) {
+      const { meanAbsPctError, meanPctBias } = marketReport.heuristicAccuracy;
+      console.log(`  🎯 Heuristic vs AVM rent: ${meanAbsPctError}% mean error, ${meanPctBias > 0 ? '+' : ''}${meanPctBias}% bias`);
+    }
+    
+    if (rentcast.isBudgetExhausted()) {
+      warnings.push('API call budget exhausted; uncached rent estimates skipped');
+    }
     
     if (withRentEstimates.length === 0) {
       console.log(`⚠️  Could not get rent estimates for ${market.name}`);
-      return analyze.createMarketOutput([], market);
+      warnings.push('Could not get rent estimates');
+      return analyze.createMarketOutput([], market, marketRanking);
     }
     
-    // Stage 5: Calculate investment metrics
-    const withMetrics = analyze.calculateInvestmentMetrics(withRentEstimates);
+    // Stage 5: Estimate rehab for likely-distressed properties, then calculate investment metrics
+    const withMetrics = analyze.calculateInvestmentMetrics(rehab.estimateRehab(withRentEstimates));
     
-    // Stage 6: Rank and select top deals
-    const topDeals = analyze.rankAndSelectTopDeals(withMetrics);
+    // Stage 6: Check list prices against comparable listings, then rank and select top deals
+    const withComps = comps.attachComps(withMetrics, uniqueListings);
+    const topDeals = analyze.rankAndSelectTopDeals(withComps, marketRanking, params);
+    stages.topDeals = topDeals.length;
     
     // Create output
-    return analyze.createMarketOutput(topDeals, market);
+    return analyze.createMarketOutput(topDeals, market, marketRanking);
     
   } catch (error) {
     console.error(`❌ Error processing ${market.name}: ${error.message}`);
-    return analyze.createMarketOutput([], market);
+    marketReport.errors.push(error.message);
+    return analyze.createMarketOutput([], market, marketRanking);
   }
 }
 
+/**
+ * Evaluate an investor profile against this run's listings
+ * 
+ * Warnings and errors are recorded on profileReport.
+ * 
+ * @returns {Promise<Object|null>} - Profile output, or null if it could not be built
+ */
+async function processProfile(profile, profileReport) {
+  console.log(`\n${'='.repeat(60)}`);
+  console.log(`👤 Investor Profile: ${profile.name}`);
+  console.log(`${'='.repeat(60)}`);
+  
+  try {
+    const { deals, markets, warnings } = await profiles.evaluateProfile(profile, fetchedListings);
+    profileReport.warnings.push(...warnings);
+    
+    if (markets.length === 0) {
+      console.log(`⚠️  No market listings available for ${profile.name}`);
+      profileReport.warnings.push('No market listings available; previous file kept');
+      return null;
+    }
+    
+    return profiles.createProfileOutput(deals, profile, markets);
+  } catch (error) {
+    console.error(`❌ Error evaluating profile ${profile.name}: ${error.message}`);
+    profileReport.errors.push(error.message);
+    return null;
+  }
+}
+
+/**
+ * Log schema violations and record them on a market or profile report entry
+ */
+function reportSchemaErrors(name, check, entry) {
+  console.error(`  ✗ ${name} output does not match schema v${schema.SCHEMA_VERSION}; not writing it:`);
+  for (const error of check.errors.slice(0, 10)) {
+    console.error(`      ${error}`);
+  }
+  entry.errors.push(`Output failed schema validation: ${check.errors.slice(0, 3).join('; ')}${check.errors.length > 3 ? ` (+${check.errors.length - 3} more)` : ''}`);
+}
+
 /**
  * Write results to JSON file
  */
@@ -107,38 +223,133 @@ function validateOutput(data, existingPath) {
   return data;
 }
 
+/**
+ * Print a market's or profile's deals as a table (dry runs)
+ */
+function printDeals(name, output) {
+  console.log(`\n📋 ${name} (dry run)`);
+  if (output.deals.length === 0) {
+    console.log('   No deals');
+    return;
+  }
+  for (const d of output.deals) {
+    const money = n => '$' + round(n).toLocaleString('en-US');
+    console.log(`   #${String(d.rank).padEnd(3)}${d.address.padEnd(45)} ${money(d.price).padStart(9)}  ${money(d.estMonthlyRent).padStart(7)}/mo  ${String(d.grossYield).padStart(5)}%  CoC ${d.cashOnCash}%`);
+  }
+}
+
 /**
  * Main execution
  */
 async function main() {
+  const marketNames = config.markets.map(m => m.name).join(', ');
+  const analyzing = marketNames.length <= 44 ? marketNames : `${config.markets.length} markets`;
   console.log(`
 ╔════════════════════════════════════════════════════════════╗
-║     Temple/Belton Investment Deal Analyzer                ║
-║     Analyzing: ${config.markets.map(m => m.name).join(', ').padEnd(36)}║
+║     Temple/Belton Investment Deal Analyzer                 ║
+║     Analyzing: ${analyzing.padEnd(44)}║
 ╚════════════════════════════════════════════════════════════╝
 `);
 
+  if (config.api.replayDir) {
+    console.log(`📼 Replay mode: serving recorded responses from ${config.api.replayDir}`);
+  }
+
   const startTime = Date.now();
   rentcast.resetApiCallCount();
+  rentCache.resetStats();
+  marketStats.reset();
+  fetchedListings.clear();
   
+  const runReport = report.createRunReport(options.test ? 'test' : (config.api.replayDir ? 'replay' : 'live'));
   const results = {};
+  // What each market's file holds after this run (fresh, or last week's if kept)
+  const published = {};
+  let schemaViolations = 0;
+  // Properties already analyzed this run (address key -> market id)
+  const claimed = new Map();
   
   // Process each market
   for (const market of config.markets) {
-    const output = await processMarket(market);
+    const outputPath = marketDefinitions.outputPath(market);
+    
+    // Compare against last week's published file (new / returning / price changes)
+    const marketReport = report.startMarket(runReport, market);
+    const previous = history.loadPreviousOutput(outputPath);
+    const output = history.annotateChanges(await processMarket(market, marketReport, claimed), previous);
     results[market.id] = output;
     
+    // The frontend reads these files as-is, so never publish one that breaks the schema
+    const check = schema.validateMarketOutput(output);
+    if (!check.valid) {
+      reportSchemaErrors(market.name, check, marketReport);
+      schemaViolations++;
+      // Last week's file (if any) stays in place
+      report.finishMarket(marketReport, previous || { deals: [] }, Boolean(previous));
+      if (previous) published[market.id] = previous;
+      continue;
+    }
+    
+    if (options.dryRun) {
+      report.finishMarket(marketReport, output, false);
+      printDeals(output.market.name, output);
+      continue;
+    }
+    
     // Write to file
-    const filename = config.output.files[market.id];
-    const outputPath = path.join(config.output.directory, filename);
     const validatedOutput = validateOutput(output, outputPath);
-    writeOutput(validatedOutput, filename);
+    writeOutput(validatedOutput, marketDefinitions.outputFile(market));
+    published[market.id] = validatedOutput;
+    report.finishMarket(marketReport, validatedOutput, validatedOutput !== output);
+    
+    // Archive only fresh results; retained stale data is already in history
+    if (validatedOutput === output) {
+      history.archiveSnapshot(output, market.id);
+    }
+  }
+  
+  // Investor profiles, from the listings fetched above
+  const profileResults = {};
+  const processedIds = config.markets.map(market => market.id);
+  for (const profile of config.profiles) {
+    // A --market run can't fully evaluate a profile with markets it left
+    // out; that profile's file keeps its last results
+    if (!profiles.profileMarkets(profile, configuredMarkets).every(market => processedIds.includes(market.id))) {
+      console.log(`\n👤 Skipping ${profile.name}: not all of its markets were processed this run`);
+      continue;
+    }
+    
+    const profileReport = report.startProfile(runReport, profile);
+    const output = await processProfile(profile, profileReport);
+    
+    if (output) {
+      const check = schema.validateProfileOutput(output);
+      if (!check.valid) {
+        reportSchemaErrors(profile.name, check, profileReport);
+        schemaViolations++;
+      } else {
+        profileResults[profile.id] = output;
+        if (options.dryRun) {
+          printDeals(`${profile.name} (profile)`, output);
+        } else {
+          profiles.writeProfileOutput(output);
+        }
+      }
+    }
+    report.finishProfile(profileReport, profileResults[profile.id] || null);
   }
   
   // Summary
   const endTime = Date.now();
   const duration = ((endTime - startTime) / 1000).toFixed(1);
   const apiCalls = rentcast.getApiCallCount();
+  const cacheStats = rentCache.getStats();
+  
+  report.finishRunReport(runReport, {
+    apiCalls,
+    budgetExhausted: rentcast.isBudgetExhausted(),
+    rentCache: cacheStats,
+  });
   
   console.log(`
 ╔════════════════════════════════════════════════════════════╗
@@ -149,24 +360,133 @@ async function main() {
     const result = results[market.id];
     const deals = result.deals.length;
     const topYield = result.summary.topYield;
-    console.log(`║  ${market.name.padEnd(20)} ${String(deals).padStart(2)} deals | Top: ${topYield}% yield`.padEnd(61) + '║');
+    const status = runReport.markets.find(m => m.id === market.id).status;
+    const flag = status === 'ok' ? '' : ` [${status.toUpperCase()}]`;
+    console.log(`║  ${market.name.padEnd(20)} ${String(deals).padStart(2)} deals | Top: ${topYield}% yield${flag}`.padEnd(61) + '║');
   }
   
-  console.log(`╠════════════════════════════════════════════════════════════╣
-║  Duration: ${duration}s | API Calls: ${apiCalls}`.padEnd(61) + `║
-╚════════════════════════════════════════════════════════════╝
-`);
+  for (const entry of runReport.profiles) {
+    const output = profileResults[entry.id];
+    const deals = output ? output.deals.length : 0;
+    const flag = entry.status === 'ok' ? '' : ` [${entry.status.toUpperCase()}]`;
+    console.log(`║  👤 ${entry.name.slice(0, 26).padEnd(26)} ${String(deals).padStart(2)} deals${flag}`.padEnd(61) + '║');
+  }
+  console.log('╠════════════════════════════════════════════════════════════╣');
+  console.log(`║  Duration: ${duration}s | API Calls: ${apiCalls}`.padEnd(61) + '║');
+  console.log(`║  Rent cache: ${cacheStats.hits} hits | ${cacheStats.misses} paid lookups`.padEnd(61) + '║');
+  console.log('╚════════════════════════════════════════════════════════════╝\n');
+
+  // Degraded runs exit non-zero so the workflow (and whoever watches it) notices
+  if (runReport.status !== 'ok' && config.alerts.failOnDegraded) {
+    console.error(`❌ Run ${runReport.status}: ${report.buildAlertPayload(runReport).text}`);
+    process.exitCode = 2;
+  }
+  
+  if (schemaViolations > 0) {
+    console.error(`❌ ${schemaViolations} output file(s) failed schema validation`);
+    process.exitCode = 1;
+  }
+  
+  if (options.json) {
+    process.stdout.write(JSON.stringify(cli.buildJsonSummary(runReport, results, options, profileResults), null, 2) + '\n');
+  }
+  
+  if (options.dryRun) {
+    console.log(options.test ? '🧪 Test run: no output files written' : '🧪 Dry run: no output files written');
+    return;
+  }
+  
+  // Markets left out with --market keep their last published file, so the
+  // combined exports still cover every market
+  for (const market of configuredMarkets) {
+    if (results[market.id]) continue;
+    const previous = history.loadPreviousOutput(marketDefinitions.outputPath(market));
+    if (previous) published[market.id] = previous;
+  }
+  
+  // Cross-market ranking, CSV and feed from the files just published
+  if (config.output.combined.enabled && Object.keys(published).length > 0) {
+    console.log('📦 Writing combined exports...');
+    const outputs = configuredMarkets.filter(market => published[market.id]).map(market => published[market.id]);
+    combinedExports.writeExports(combinedExports.createCombinedOutput(outputs));
+  }
+  
+  console.log('📊 Writing market statistics...');
+  marketStats.writeStats();
+  
+  console.log('🗂️  Writing market manifest...');
+  marketDefinitions.writeManifest(marketDefinitions.createManifest(configuredMarkets, config.profiles));
+  
+  await report.publishRunReport(runReport);
 
   // Log file locations
   console.log('📁 Output files:');
   for (const market of config.markets) {
-    const filename = config.output.files[market.id];
-    console.log(`   ./data/${filename}`);
+    console.log(`   ${marketDefinitions.outputPath(market)}`);
+  }
+  for (const profileId of Object.keys(profileResults)) {
+    console.log(`   ${profiles.profileOutputPath(profileId)}`);
+  }
+  console.log(`   ${path.join(config.output.directory, config.output.statsFile)}`);
+  console.log(`   ${path.join(config.output.directory, config.output.manifestFile)}`);
+  if (config.output.combined.enabled) {
+    const { file, csvFile, feedFile } = config.output.combined;
+    for (const filename of [file, csvFile, feedFile]) {
+      console.log(`   ${path.join(config.output.directory, filename)}`);
+    }
+  }
+}
+
+/**
+ * Parse the command line, check the configuration and API key, and run
+ *
+ * @param {Array<string>} argv - Command-line arguments (without node and script)
+ * @returns {Promise<void>} - Resolves when the run is done
+ */
+function start(argv) {
+  try {
+    options = cli.parseCliArgs(argv);
+    if (options.help) {
+      console.log(cli.USAGE);
+      process.exit(0);
+    }
+    // Checked against every market, before --market narrows the list
+    marketDefinitions.validateMarkets(config.markets);
+    profiles.validateProfiles(config.profiles, config.markets);
+    configuredMarkets = config.markets;
+    cli.applyOptions(config, options);
+  } catch (error) {
+    console.error(`❌ Error: ${error.message}`);
+    console.error(cli.USAGE);
+    process.exit(1);
+  }
+
+  // With --json, stdout carries only the summary; progress logs go to stderr
+  if (options.json) {
+    console.log = console.error;
   }
+
+  // Verify API key is present (not needed when replaying recorded responses)
+  if (!config.api.replayDir && !process.env.RENTCAST_API_KEY) {
+    console.error('❌ Error: RENTCAST_API_KEY environment variable is not set');
+    console.error('   Run with: RENTCAST_API_KEY=your_key node src/index.js');
+    console.error('   Or replay recorded responses with: node src/index.js --replay ./fixtures/sample-week');
+    process.exit(1);
+  }
+
+  return main().catch(error => {
+    console.error('❌ Fatal error:', error);
+    process.exit(1);
+  });
+}
+
+// Run when executed directly, not when required by the tests
+if (require.main === module) {
+  start(process.argv.slice(2));
 }
 
-// Run
-main().catch(error => {
-  console.error('❌ Fatal error:', error);
-  process.exit(1);
-});
+module.exports = {
+  start,
+  processMarket,
+  validateOutput,
+};
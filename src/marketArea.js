@@ -0,0 +1,149 @@
+/**
+ * Market Areas
+ *
+ * How a market's listings are searched for, and which results belong to it.
+ * A market's `search` is one of:
+ *
+ *   "cities"    - one query per entry in `cities` (the default)
+ *   "zipCodes"  - one query per entry in `zipCodes`; catches unincorporated
+ *                 areas whose listings carry another city name
+ *   { "by": "radius", "latitude": 31.05, "longitude": -97.46, "radius": 8 }
+ *               - one query for every listing within `radius` miles
+ *
+ * Zip code and radius results are filtered to the market's boundary (its
+ * zip codes, or the circle within its zip codes) before they are
+ * de-duplicated.
+ */
+
+const SEARCH_TYPES = ['cities', 'zipCodes', 'radius'];
+const ZIP_PATTERN = /^\d{5}$/;
+const EARTH_RADIUS_MILES = 3958.8;
+
+/**
+ * Normalize a market's `search` setting
+ *
+ * @param {Object} market - Market configuration
+ * @returns {Object} - { by, ...options }
+ */
+function resolveSearch(market) {
+  const search = market.search || 'cities';
+  return typeof search === 'string' ? { by: search } : { ...search };
+}
+
+/**
+ * Problems with a market's search settings (empty when valid)
+ *
+ * @param {Object} market - Market configuration
+ * @returns {Array<string>} - Readable problems
+ */
+function validateSearch(market) {
+  const search = resolveSearch(market);
+  const problems = [];
+
+  if (!SEARCH_TYPES.includes(search.by)) {
+    return [`unknown search "${search.by}" (expected ${SEARCH_TYPES.join(', ')})`];
+  }
+
+  if (search.by === 'cities') {
+    if (!Array.isArray(market.cities) || market.cities.length === 0) {
+      problems.push('needs at least one city');
+    } else if (market.cities.some(c => !c.city || !c.state)) {
+      problems.push('every city needs a city and state');
+    }
+  }
+
+  if (search.by === 'zipCodes' && (!Array.isArray(market.zipCodes) || market.zipCodes.length === 0)) {
+    problems.push('needs at least one zip code to search by zip code');
+  }
+
+  if (search.by === 'radius') {
+    if (!(Math.abs(search.latitude) <= 90) || !(Math.abs(search.longitude) <= 180)) {
+      problems.push('radius search needs a latitude and longitude');
+    }
+    if (!(search.radius > 0)) {
+      problems.push('radius search needs a radius in miles');
+    }
+  }
+
+  const badZips = (market.zipCodes || []).filter(zip => !ZIP_PATTERN.test(zip));
+  if (badZips.length > 0) {
+    problems.push(`zip codes must be 5-digit strings: ${badZips.join(', ')}`);
+  }
+
+  return problems;
+}
+
+/**
+ * Listing queries for a market, each with a label for logging
+ *
+ * @param {Object} market - Market configuration
+ * @returns {Array<Object>} - [{ label, params }] where params go to /listings/sale
+ */
+function searchQueries(market) {
+  const search = resolveSearch(market);
+
+  if (search.by === 'zipCodes') {
+    return market.zipCodes.map(zipCode => ({ label: zipCode, params: { zipCode } }));
+  }
+
+  if (search.by === 'radius') {
+    const { latitude, longitude, radius } = search;
+    return [{
+      label: `${radius} mi of ${latitude}, ${longitude}`,
+      params: { latitude, longitude, radius },
+    }];
+  }
+
+  return market.cities.map(({ city, state }) => ({ label: `${city}, ${state}`, params: { city, state } }));
+}
+
+/**
+ * Great-circle distance between two points
+ *
+ * @returns {number} - Distance in miles
+ */
+function distanceMiles(lat1, lon1, lat2, lon2) {
+  const rad = degrees => degrees * Math.PI / 180;
+  const dLat = rad(lat2 - lat1);
+  const dLon = rad(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(rad(lat1)) * Math.cos(rad(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_MILES * Math.asin(Math.sqrt(a));
+}
+
+/**
+ * Whether a listing lies within the market's boundary. City searches have
+ * no boundary beyond the query. A radius search is also held to the
+ * market's zip codes when it lists any, so a circle that reaches into a
+ * neighboring market doesn't take its listings; a radius listing without
+ * coordinates is kept when its zip code is one of the market's.
+ *
+ * @param {Object} listing - Listing (zipCode, latitude, longitude)
+ * @param {Object} market - Market configuration
+ * @returns {boolean}
+ */
+function withinMarket(listing, market) {
+  const search = resolveSearch(market);
+  const zipCodes = market.zipCodes || [];
+
+  if (search.by === 'zipCodes') {
+    return zipCodes.includes(listing.zipCode);
+  }
+
+  if (search.by === 'radius') {
+    if (listing.latitude == null || listing.longitude == null) {
+      return zipCodes.includes(listing.zipCode);
+    }
+    if (zipCodes.length > 0 && !zipCodes.includes(listing.zipCode)) return false;
+    return distanceMiles(search.latitude, search.longitude, listing.latitude, listing.longitude) <= search.radius;
+  }
+
+  return true;
+}
+
+module.exports = {
+  resolveSearch,
+  validateSearch,
+  searchQueries,
+  distanceMiles,
+  withinMarket,
+};
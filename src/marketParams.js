@@ -0,0 +1,81 @@
+/**
+ * Market Parameters
+ *
+ * Resolves the effective filter, analysis and financing parameters for a
+ * market and, optionally, a single zip code within it and an investor profile.
+ *
+ * Precedence (later wins):
+ *   config.filters / config.analysis / config.financing
+ *   market.filters / market.analysis / market.financing
+ *   market.zipOverrides[zip].filters / .analysis / .financing
+ *   profile.filters / .analysis / .financing (see profiles.js)
+ *   config.overrides (command-line overrides, see cli.js)
+ *
+ * Zip-level filter overrides are applied to fetched listings, so they can
+ * only narrow what the market-level query returns.
+ */
+
+const config = require('./config');
+
+const SECTIONS = ['filters', 'analysis', 'financing'];
+
+/**
+ * Resolve effective parameters for a market (and optional zip code and profile)
+ *
+ * @param {Object} [market] - Market configuration
+ * @param {string} [zipCode] - Zip code within the market
+ * @param {Object} [profile] - Investor profile
+ * @returns {Object} - { filters, analysis, financing }
+ */
+function resolveParams(market = {}, zipCode, profile = {}) {
+  const zipOverrides = (zipCode && market.zipOverrides && market.zipOverrides[zipCode]) || {};
+  const cliOverrides = config.overrides || {};
+
+  const params = {};
+  for (const section of SECTIONS) {
+    params[section] = {
+      ...config[section],
+      ...(market[section] || {}),
+      ...(zipOverrides[section] || {}),
+      ...(profile[section] || {}),
+      ...(cliOverrides[section] || {}),
+    };
+  }
+  return params;
+}
+
+/**
+ * Attach each listing's effective parameters (based on its zip code)
+ *
+ * @param {Array} listings - Listings from the market
+ * @param {Object} market - Market configuration
+ * @param {Object} [profile] - Investor profile
+ * @returns {Array} - Listings with a `params` property
+ */
+function attachParams(listings, market, profile) {
+  // Most markets have a handful of zips, so resolve each once
+  const byZip = new Map();
+
+  return listings.map(listing => {
+    if (!byZip.has(listing.zipCode)) {
+      byZip.set(listing.zipCode, resolveParams(market, listing.zipCode, profile));
+    }
+    return { ...listing, params: byZip.get(listing.zipCode) };
+  });
+}
+
+/**
+ * Get the parameters that apply to a listing, falling back to the global config
+ *
+ * @param {Object} listing - Listing (optionally with `params` attached)
+ * @returns {Object} - { filters, analysis, financing }
+ */
+function paramsFor(listing) {
+  return listing.params || config;
+}
+
+module.exports = {
+  resolveParams,
+  attachParams,
+  paramsFor,
+};
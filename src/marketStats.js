@@ -0,0 +1,182 @@
+/**
+ * Market Statistics
+ *
+ * Summarizes every listing the pipeline fetched (not just the top deals)
+ * into per-market and per-zip statistics, published as
+ * data/market-stats.json for tools/neighborhood-comparison.html:
+ *
+ * - inventory: active listings, new this week, count by property type
+ * - median list price, $/sqft and days on market
+ * - median AVM rent (per unit) from this run's rent estimates
+ * - effective property tax rate (market / zip overrides applied)
+ *
+ * Listings are limited to the configured price range and property types,
+ * so the numbers describe the investor segment rather than the whole market.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const { resolveParams } = require('./marketParams');
+const { median, round } = require('./numbers');
+
+// Listings on the market this long or less count as new this week
+const NEW_LISTING_DAYS = 7;
+
+// Collected while markets are processed (market id -> { market, listings, rents })
+let collected = {};
+
+function entryFor(market) {
+  collected[market.id] = collected[market.id] || { market, listings: [], rents: [] };
+  return collected[market.id];
+}
+
+/**
+ * Record the (de-duplicated) listings fetched for a market
+ *
+ * @param {Object} market - Market configuration
+ * @param {Array} listings - All listings for the market
+ */
+function recordListings(market, listings) {
+  entryFor(market).listings.push(...listings);
+}
+
+/**
+ * Record AVM rent estimates for a market, one rent per unit
+ *
+ * @param {Object} market - Market configuration
+ * @param {Array} listings - Listings with rentEstimate (and `units` for multi-family)
+ */
+function recordRents(market, listings) {
+  const { rents } = entryFor(market);
+  for (const listing of listings) {
+    for (const unit of listing.units || [{ rentEstimate: listing.rentEstimate }]) {
+      if (unit.rentEstimate) rents.push({ zipCode: listing.zipCode, rent: unit.rentEstimate });
+    }
+  }
+}
+
+/**
+ * Statistics for one group of listings and rents
+ */
+function summarize(listings, rents, params) {
+  const byPropertyType = {};
+  for (const listing of listings) {
+    const type = listing.propertyType || 'Unknown';
+    byPropertyType[type] = (byPropertyType[type] || 0) + 1;
+  }
+
+  return {
+    listings: listings.length,
+    newListings: listings.filter(l => l.daysOnMarket != null && l.daysOnMarket <= NEW_LISTING_DAYS).length,
+    byPropertyType,
+    medianListPrice: round(median(listings.map(l => l.price))),
+    medianPricePerSqft: round(median(listings.filter(l => l.squareFootage).map(l => l.price / l.squareFootage)), 2),
+    medianDaysOnMarket: round(median(listings.map(l => l.daysOnMarket))),
+    medianRent: round(median(rents.map(r => r.rent))),
+    rentSamples: rents.length,
+    // Percent, as shown in the comparison tool
+    taxRate: round(params.analysis.propertyTaxRate * 100, 2),
+  };
+}
+
+/**
+ * Median list price per square foot of the listings recorded for a market,
+ * for one zip code when it has enough listings, otherwise the whole market
+ *
+ * @param {string} marketId - Market identifier
+ * @param {string} [zipCode] - Zip code within the market
+ * @param {number} [minListings] - Listings a zip needs before it is used on its own
+ * @returns {Object|null} - { pricePerSqft, scope: 'zip'|'market', listings }, or null without data
+ */
+function medianPricePerSqft(marketId, zipCode, minListings = 5) {
+  const entry = collected[marketId];
+  if (!entry) return null;
+
+  const sized = entry.listings.filter(l => l.price && l.squareFootage);
+  const inZip = sized.filter(l => l.zipCode === zipCode);
+  const [scope, sample] = inZip.length >= minListings ? ['zip', inZip] : ['market', sized];
+  if (sample.length === 0) return null;
+
+  return {
+    pricePerSqft: median(sample.map(l => l.price / l.squareFootage)),
+    scope,
+    listings: sample.length,
+  };
+}
+
+/**
+ * Build statistics for every market recorded this run
+ *
+ * @returns {Object} - market id -> market stats with a `zips` breakdown
+ */
+function buildStats() {
+  const markets = {};
+  const lastUpdated = new Date().toISOString();
+
+  for (const [id, { market, listings, rents }] of Object.entries(collected)) {
+    const zips = {};
+    const zipCodes = [...new Set(listings.map(l => l.zipCode).filter(Boolean))].sort();
+    for (const zip of zipCodes) {
+      zips[zip] = summarize(
+        listings.filter(l => l.zipCode === zip),
+        rents.filter(r => r.zipCode === zip),
+        resolveParams(market, zip)
+      );
+    }
+
+    markets[id] = {
+      name: market.name,
+      lastUpdated,
+      ...summarize(listings, rents, resolveParams(market)),
+      zips,
+    };
+  }
+
+  return markets;
+}
+
+/**
+ * Write data/market-stats.json. Markets not processed this run (e.g. after
+ * a fetch error) keep their previous entry, with its own lastUpdated.
+ *
+ * @returns {string} - Path written
+ */
+function writeStats() {
+  const outputPath = path.join(config.output.directory, config.output.statsFile);
+
+  let previous = {};
+  if (fs.existsSync(outputPath)) {
+    try {
+      previous = JSON.parse(fs.readFileSync(outputPath, 'utf-8')).markets || {};
+    } catch (error) {
+      console.error(`  ✗ Could not read previous market stats ${outputPath}: ${error.message}`);
+    }
+  }
+
+  const stats = {
+    lastUpdated: new Date().toISOString(),
+    markets: { ...previous, ...buildStats() },
+  };
+
+  fs.mkdirSync(config.output.directory, { recursive: true });
+  fs.writeFileSync(outputPath, JSON.stringify(stats, null, 2));
+  console.log(`  ✓ Written to ${outputPath}`);
+  return outputPath;
+}
+
+/**
+ * Clear statistics collected so far
+ */
+function reset() {
+  collected = {};
+}
+
+module.exports = {
+  recordListings,
+  recordRents,
+  medianPricePerSqft,
+  buildStats,
+  writeStats,
+  reset,
+};
@@ -0,0 +1,175 @@
+/**
+ * Market Definitions & Manifest
+ *
+ * Markets are defined once, in markets.json (loaded as config.markets).
+ * This module checks those definitions before any API calls are made and
+ * publishes data/manifest.json, which lists every market with its deals
+ * file so index.html and the tools can build their market lists from it:
+ *
+ *   {
+ *     "lastUpdated": "...",
+ *     "markets": [{ "id", "name", "file", "cities", "zipCodes", "search", "lastUpdated", "totalDeals" }],
+ *     "profiles": [{ "id", "name", "file" }],
+ *     "combined": { "file", "csvFile", "feedFile" },
+ *     "statsFile": "market-stats.json"
+ *   }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const marketArea = require('./marketArea');
+const ranking = require('./ranking');
+const { profileOutputPath } = require('./profiles');
+
+const ID_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+/**
+ * Deals file name for a market
+ *
+ * @param {Object} market - Market configuration
+ * @returns {string} - File name within config.output.directory
+ */
+function outputFile(market) {
+  return market.file || `${market.id}-deals.json`;
+}
+
+/**
+ * Path of a market's deals file
+ *
+ * @param {Object} market - Market configuration
+ * @returns {string} - File path
+ */
+function outputPath(market) {
+  return path.join(config.output.directory, outputFile(market));
+}
+
+/**
+ * Check market definitions: ids, names, searches, rankings and output files
+ *
+ * @param {Array} markets - All configured markets
+ * @throws {Error} - Listing every problem found
+ */
+function validateMarkets(markets) {
+  const problems = [];
+  const ids = new Set();
+  const { combined, statsFile, manifestFile } = config.output;
+  // Files other outputs already write to
+  const files = new Map([combined.file, combined.csvFile, combined.feedFile, statsFile, manifestFile, path.basename(config.alerts.reportFile)]
+    .map(file => [file, 'another output']));
+
+  if (!Array.isArray(markets) || markets.length === 0) {
+    throw new Error('No markets configured (markets.json)');
+  }
+
+  markets.forEach((market, index) => {
+    const label = market.id ? `Market "${market.id}"` : `Market #${index + 1}`;
+
+    if (!market.id || !ID_PATTERN.test(market.id)) {
+      problems.push(`${label}: id must be lowercase letters, digits and dashes`);
+    } else if (ids.has(market.id)) {
+      problems.push(`${label}: duplicate id`);
+    }
+    ids.add(market.id);
+
+    if (!market.name) problems.push(`${label}: missing name`);
+
+    for (const problem of marketArea.validateSearch(market)) {
+      problems.push(`${label}: ${problem}`);
+    }
+
+    try {
+      ranking.resolveRanking(market.ranking);
+    } catch (error) {
+      problems.push(`${label}: ${error.message}`);
+    }
+
+    const file = outputFile(market);
+    if (files.has(file)) {
+      problems.push(`${label}: output file ${file} is already used by ${files.get(file)}`);
+    }
+    files.set(file, label.toLowerCase());
+
+    const unknownZips = Object.keys(market.zipOverrides || {}).filter(zip => !(market.zipCodes || []).includes(zip));
+    if (unknownZips.length > 0) {
+      problems.push(`${label}: zipOverrides for zip codes not in zipCodes: ${unknownZips.join(', ')}`);
+    }
+  });
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid market definitions:\n  - ${problems.join('\n  - ')}`);
+  }
+}
+
+/**
+ * Read the summary of a published deals file (null if missing or unreadable)
+ */
+function readPublished(filePath) {
+  try {
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    return { lastUpdated: data.lastUpdated || null, totalDeals: data.deals ? data.deals.length : 0 };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Build the manifest from the files on disk, so markets left out of this
+ * run (--market) keep their last published state
+ *
+ * @param {Array} markets - All configured markets
+ * @param {Array} profiles - Investor profiles
+ * @returns {Object} - Manifest
+ */
+function createManifest(markets, profiles = []) {
+  const { combined, statsFile, directory } = config.output;
+
+  return {
+    lastUpdated: new Date().toISOString(),
+    markets: markets.map(market => {
+      const published = readPublished(outputPath(market));
+      return {
+        id: market.id,
+        name: market.name,
+        file: outputFile(market),
+        cities: (market.cities || []).map(c => `${c.city}, ${c.state}`),
+        zipCodes: market.zipCodes || [],
+        search: marketArea.resolveSearch(market),
+        lastUpdated: published ? published.lastUpdated : null,
+        totalDeals: published ? published.totalDeals : 0,
+      };
+    }),
+    profiles: profiles.map(profile => ({
+      id: profile.id,
+      name: profile.name,
+      // Relative to the manifest, like the market files
+      file: path.relative(directory, profileOutputPath(profile.id)).split(path.sep).join('/'),
+    })),
+    combined: combined.enabled
+      ? { file: combined.file, csvFile: combined.csvFile, feedFile: combined.feedFile }
+      : null,
+    statsFile,
+  };
+}
+
+/**
+ * Write data/manifest.json
+ *
+ * @param {Object} manifest - Output from createManifest
+ * @returns {string} - Path written
+ */
+function writeManifest(manifest) {
+  const manifestPath = path.join(config.output.directory, config.output.manifestFile);
+  fs.mkdirSync(config.output.directory, { recursive: true });
+  fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2));
+  console.log(`  ✓ Written to ${manifestPath}`);
+  return manifestPath;
+}
+
+module.exports = {
+  outputFile,
+  outputPath,
+  validateMarkets,
+  createManifest,
+  writeManifest,
+};
@@ -0,0 +1,38 @@
+/**
+ * Number Helpers
+ *
+ * Median and rounding shared across the pipeline. Every module rounds
+ * published numbers with round() rather than inline Math.round arithmetic.
+ */
+
+/**
+ * Median of the numeric values in a list; missing values (null, undefined,
+ * NaN) are skipped
+ *
+ * @param {Array<number>} values - Values
+ * @returns {number|null} - Median, or null when there are no numbers
+ */
+function median(values) {
+  const sorted = values.filter(Number.isFinite).sort((a, b) => a - b);
+  if (sorted.length === 0) return null;
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Round to a number of decimal places (null stays null)
+ *
+ * @param {number|null} value - Value to round
+ * @param {number} [places] - Decimal places (default 0)
+ * @returns {number|null} - Rounded value
+ */
+function round(value, places = 0) {
+  if (value === null) return null;
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+}
+
+module.exports = {
+  median,
+  round,
+};
@@ -0,0 +1,168 @@
+/**
+ * Investor Profiles
+ *
+ * Runs each client buy box in config.profiles against the listings already
+ * fetched for the markets this run, so profiles cost no extra listing calls.
+ * Rent estimates come from the cache (or this run's lookups) where possible;
+ * only candidates no market looked at need a new AVM call.
+ *
+ * Each profile gets its own ranking across its markets and its own file:
+ *   data/profiles/<profile-id>-deals.json
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const rentcast = require('./rentcast');
+const analyze = require('./analyze');
+const ranking = require('./ranking');
+const calibration = require('./calibration');
+const rehab = require('./rehab');
+const comps = require('./comps');
+const { SCHEMA_VERSION } = require('./schema');
+const { attachParams, resolveParams } = require('./marketParams');
+
+/**
+ * Check profile definitions before any API calls are made
+ *
+ * @param {Array} profiles - config.profiles
+ * @param {Array} markets - All configured markets
+ * @throws {Error} - On duplicate ids, unknown markets or unknown ranking strategies
+ */
+function validateProfiles(profiles, markets) {
+  const seen = new Set();
+  const marketIds = markets.map(m => m.id);
+
+  for (const profile of profiles) {
+    if (!profile.id || !profile.name) {
+      throw new Error('Every investor profile needs an id and a name');
+    }
+    if (seen.has(profile.id)) {
+      throw new Error(`Duplicate investor profile id "${profile.id}"`);
+    }
+    seen.add(profile.id);
+
+    const unknown = (profile.markets || []).filter(id => !marketIds.includes(id));
+    if (unknown.length > 0) {
+      throw new Error(`Profile "${profile.id}" uses unknown market(s): ${unknown.join(', ')}`);
+    }
+    ranking.resolveRanking(profile.ranking);
+  }
+}
+
+/**
+ * Markets a profile covers (all of them when it names none)
+ *
+ * @param {Object} profile - Investor profile
+ * @param {Array} markets - Markets to choose from
+ * @returns {Array} - The profile's markets, in the given order
+ */
+function profileMarkets(profile, markets) {
+  return markets.filter(market => !profile.markets || profile.markets.includes(market.id));
+}
+
+/**
+ * Evaluate a profile against the listings fetched for its markets
+ *
+ * @param {Object} profile - Investor profile
+ * @param {Map} fetchedListings - market id -> de-duplicated listings from this run
+ * @returns {Promise<Object>} - { deals, markets, warnings }
+ */
+async function evaluateProfile(profile, fetchedListings) {
+  const covered = profileMarkets(profile, config.markets);
+  const markets = covered.filter(market => fetchedListings.has(market.id));
+  const warnings = [];
+  let analyzed = [];
+
+  // A market that failed (or found nothing) this run would otherwise just
+  // drop out of the profile's file
+  const missing = covered.filter(market => !fetchedListings.has(market.id));
+  if (missing.length > 0 && markets.length > 0) {
+    warnings.push(`No listings for ${missing.map(m => m.name).join(', ')}; deals cover the other markets only`);
+  }
+
+  for (const market of markets) {
+    console.log(`\n👤 ${profile.name}: ${market.name}`);
+
+    // Same listings the market used, with the profile's buy box on top
+    const listings = attachParams(fetchedListings.get(market.id), market, profile);
+    const filtered = analyze.applyHeuristicFilter(calibration.attachHeuristicRates(listings));
+    if (filtered.length === 0) continue;
+
+    const candidates = analyze.selectTopCandidates(filtered, resolveParams(market, null, profile));
+    const withRentEstimates = await rentcast.enrichWithRentEstimates(candidates);
+    const withMetrics = analyze.calculateInvestmentMetrics(rehab.estimateRehab(withRentEstimates));
+    analyzed = analyzed.concat(comps.attachComps(withMetrics, fetchedListings.get(market.id)));
+  }
+
+  if (rentcast.isBudgetExhausted()) {
+    warnings.push('API call budget exhausted; uncached rent estimates skipped');
+  }
+
+  const deals = analyzed.length > 0
+    ? analyze.rankAndSelectTopDeals(analyzed, profile.ranking, resolveParams({}, null, profile))
+    : [];
+
+  return { deals, markets, warnings };
+}
+
+/**
+ * Create the output object for a profile
+ *
+ * @param {Array} deals - Ranked top deals
+ * @param {Object} profile - Investor profile
+ * @param {Array} markets - Markets the profile covered
+ * @returns {Object} - Output object with metadata
+ */
+function createProfileOutput(deals, profile, markets) {
+  const formattedDeals = deals.map((deal, index) => analyze.formatDealForOutput(deal, index + 1));
+
+  return {
+    schemaVersion: SCHEMA_VERSION,
+    profile: {
+      id: profile.id,
+      name: profile.name,
+      description: profile.description || null,
+    },
+    markets: markets.map(market => ({ id: market.id, name: market.name })),
+    ranking: ranking.resolveRanking(profile.ranking),
+    // Profile parameters before market and zip values (each deal records its own)
+    parameters: resolveParams({}, null, profile),
+    lastUpdated: new Date().toISOString(),
+    summary: analyze.summarizeDeals(formattedDeals),
+    deals: formattedDeals,
+  };
+}
+
+/**
+ * Path of a profile's deals file
+ *
+ * @param {string} profileId - Profile identifier
+ * @returns {string} - File path
+ */
+function profileOutputPath(profileId) {
+  return path.join(config.output.profilesDirectory, `${profileId}-deals.json`);
+}
+
+/**
+ * Write a profile's deals file
+ *
+ * @param {Object} output - Output from createProfileOutput
+ * @returns {string} - Path written
+ */
+function writeProfileOutput(output) {
+  const outputPath = profileOutputPath(output.profile.id);
+  fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+  fs.writeFileSync(outputPath, JSON.stringify(output, null, 2));
+  console.log(`  ✓ Written to ${outputPath}`);
+  return outputPath;
+}
+
+module.exports = {
+  validateProfiles,
+  profileMarkets,
+  evaluateProfile,
+  createProfileOutput,
+  profileOutputPath,
+  writeProfileOutput,
+};
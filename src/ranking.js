@@ -0,0 +1,125 @@
+/**
+ * Ranking Strategies
+ *
+ * Scores analyzed deals for the final ranking stage. Each strategy returns a
+ * score (higher is better) plus a breakdown of how the score was built, which
+ * is published with each deal.
+ *
+ * Markets choose a strategy via `ranking` in markets.json, either by name
+ * ('capRate') or as an object ({ strategy: 'composite', agePenaltyPerYear: 0.1 }).
+ * Options not given fall back to config.ranking.
+ */
+
+const config = require('./config');
+const { round } = require('./numbers');
+
+/**
+ * Strategy that ranks on a single metric already computed for the deal
+ */
+function metricStrategy(metric, description) {
+  return {
+    description,
+    score(deal) {
+      const value = deal[metric] || 0;
+      return { score: value, breakdown: { [metric]: value } };
+    },
+  };
+}
+
+const strategies = {
+  grossYield: metricStrategy('grossYield', 'Gross rental yield'),
+  cashOnCash: metricStrategy('cashOnCash', 'Cash-on-cash return with configured financing'),
+  capRate: metricStrategy('capRate', 'Cap rate (NOI / price)'),
+  allInYield: metricStrategy('allInYield', 'Gross yield on price plus estimated rehab'),
+
+  composite: {
+    description: 'Base metric minus penalties for age, days on market and rent uncertainty',
+    score(deal, options) {
+      const base = deal[options.baseMetric] || 0;
+
+      // Older homes carry more maintenance and insurance risk
+      const age = deal.yearBuilt ? new Date().getFullYear() - deal.yearBuilt : 0;
+      const agePenalty = Math.max(0, age - options.ageGraceYears) * options.agePenaltyPerYear;
+
+      // Stale listings often have problems the photos don't show
+      const daysOnMarket = deal.daysOnMarket || 0;
+      const daysOnMarketPenalty = Math.max(0, daysOnMarket - options.daysOnMarketGraceDays) * options.daysOnMarketPenaltyPerDay;
+
+      // A wide AVM range means the rent estimate is less trustworthy
+      const rentSpreadPct = deal.rentEstimate && deal.rentRangeHigh && deal.rentRangeLow
+        ? ((deal.rentRangeHigh - deal.rentRangeLow) / deal.rentEstimate) * 100
+        : 0;
+      const rentSpreadPenalty = rentSpreadPct * options.rentSpreadPenaltyPerPct;
+
+      const score = base - agePenalty - daysOnMarketPenalty - rentSpreadPenalty;
+
+      return {
+        score,
+        breakdown: {
+          [options.baseMetric]: base,
+          agePenalty: round(agePenalty, 2),
+          daysOnMarketPenalty: round(daysOnMarketPenalty, 2),
+          rentSpreadPenalty: round(rentSpreadPenalty, 2),
+        },
+      };
+    },
+  },
+};
+
+/**
+ * Resolve a market's ranking setting into a strategy name and options
+ *
+ * @param {string|Object} [ranking] - Market ranking setting
+ * @returns {Object} - { strategy, options }
+ */
+function resolveRanking(ranking) {
+  const setting = typeof ranking === 'string' ? { strategy: ranking } : (ranking || {});
+  const { strategy = config.ranking.defaultStrategy, ...overrides } = setting;
+
+  if (!strategies[strategy]) {
+    throw new Error(`Unknown ranking strategy "${strategy}" (available: ${Object.keys(strategies).join(', ')})`);
+  }
+
+  return {
+    strategy,
+    options: { ...(config.ranking[strategy] || {}), ...overrides },
+  };
+}
+
+/**
+ * Score a deal with the given ranking
+ *
+ * @param {Object} deal - Listing with investment metrics
+ * @param {Object} ranking - Resolved ranking from resolveRanking()
+ * @returns {Object} - { score, breakdown }
+ */
+function scoreDeal(deal, ranking) {
+  const result = strategies[ranking.strategy].score(deal, ranking.options);
+  return {
+    score: round(result.score, 2),
+    breakdown: result.breakdown,
+  };
+}
+
+/**
+ * Tier a deal is pushed down to regardless of score (0 = not demoted).
+ * Deals priced far below their comps (likely data errors) go last, then
+ * deals that cash-flow negative in the downside case, when the configured
+ * action for each is 'demote'.
+ *
+ * @param {Object} deal - Listing with metrics (or a formatted deal)
+ * @returns {number} - Demotion tier, higher ranks lower
+ */
+function demotionTier(deal) {
+  let tier = 0;
+  if (config.comps.farBelowAction === 'demote' && deal.comps && deal.comps.farBelowComps) tier += 2;
+  if (config.scenarios.downsideAction === 'demote' && deal.downsideCashFlowNegative) tier += 1;
+  return tier;
+}
+
+module.exports = {
+  strategies,
+  resolveRanking,
+  scoreDeal,
+  demotionTier,
+};
@@ -0,0 +1,131 @@
+/**
+ * Rehab & Distressed-Property Estimation
+ *
+ * Flags candidates that are likely to need work and estimates what the work
+ * costs, so value-add deals are judged on the all-in cost rather than the
+ * list price. Signals (keywords count double):
+ *
+ * - description keywords ("as-is", "investor special", "cash only", ...)
+ * - age: built more than oldHomeYears ago
+ * - stale listing: on the market staleDays or longer
+ * - below market: listed under belowMarketRatio of the median $/sqft
+ *
+ * The score picks a rehab level (1 light, 2 moderate, 3+ heavy) whose $/sqft
+ * band gives a low/mid/high cost. After-repair value (ARV) is the home's
+ * square footage at the zip's median $/sqft from this run's listings (the
+ * market's when the zip has few), never less than the purchase price.
+ *
+ * All-in yield and the BRRRR projection built on this are in analyze.js.
+ */
+
+const config = require('./config');
+const marketStats = require('./marketStats');
+const { round } = require('./numbers');
+
+const LEVELS = ['none', 'light', 'moderate', 'heavy'];
+
+function settings() {
+  return config.rehab;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Distress signals found in a listing
+ *
+ * @param {Object} listing - Listing (marketId, yearBuilt, daysOnMarket, description, ...)
+ * @returns {Object} - { score, signals } where signals are readable descriptions
+ */
+function findSignals(listing) {
+  const { keywords, oldHomeYears, staleDays, belowMarketRatio } = settings();
+  const signals = [];
+  let score = 0;
+
+  const description = String(listing.description || '').toLowerCase();
+  const keyword = keywords.find(word => new RegExp(`\\b${escapeRegExp(word.toLowerCase())}\\b`).test(description));
+  if (keyword) {
+    signals.push(`"${keyword}" in description`);
+    score += 2;
+  }
+
+  if (listing.yearBuilt && new Date().getFullYear() - listing.yearBuilt > oldHomeYears) {
+    signals.push(`built ${listing.yearBuilt}`);
+    score += 1;
+  }
+
+  if (listing.daysOnMarket != null && listing.daysOnMarket >= staleDays) {
+    signals.push(`${listing.daysOnMarket} days on market`);
+    score += 1;
+  }
+
+  const comps = marketStats.medianPricePerSqft(listing.marketId, listing.zipCode);
+  if (comps && listing.squareFootage) {
+    const ratio = (listing.price / listing.squareFootage) / comps.pricePerSqft;
+    if (ratio < belowMarketRatio) {
+      signals.push(`${round((1 - ratio) * 100)}% below ${comps.scope} $/sqft`);
+      score += 1;
+    }
+  }
+
+  return { score, signals };
+}
+
+/**
+ * Rehab level, cost band and after-repair value for a listing
+ *
+ * @param {Object} listing - Listing with price and squareFootage
+ * @returns {Object} - { level, distressed, score, signals, costLow, costMid, costHigh, arv, arvSource }
+ */
+function assessListing(listing) {
+  const { score, signals } = findSignals(listing);
+  const level = LEVELS[Math.min(score, LEVELS.length - 1)];
+
+  const [lowPerSqft, highPerSqft] = level === 'none' ? [0, 0] : settings().costPerSqft[level];
+  const sqft = listing.squareFootage || 0;
+  const costLow = round(sqft * lowPerSqft);
+  const costHigh = round(sqft * highPerSqft);
+
+  const comps = marketStats.medianPricePerSqft(listing.marketId, listing.zipCode);
+  const arv = comps && sqft
+    ? Math.max(listing.price, round(sqft * comps.pricePerSqft))
+    : null;
+
+  return {
+    level,
+    distressed: score >= settings().distressedScore,
+    score,
+    signals,
+    costLow,
+    costMid: round((costLow + costHigh) / 2),
+    costHigh,
+    arv,
+    arvSource: arv === null ? null : comps.scope,
+  };
+}
+
+/**
+ * Stage: attach a rehab estimate to each listing (skipped when disabled)
+ *
+ * @param {Array} listings - Listings with rent estimates
+ * @returns {Array} - Listings with a `rehab` property
+ */
+function estimateRehab(listings) {
+  if (!settings().enabled) return listings;
+
+  console.log(`\n🔨 Estimating rehab for ${listings.length} properties...`);
+  const assessed = listings.map(listing => ({ ...listing, rehab: assessListing(listing) }));
+
+  const distressed = assessed.filter(listing => listing.rehab.distressed).length;
+  const needsWork = assessed.filter(listing => listing.rehab.level !== 'none').length;
+  console.log(`  ✓ ${distressed} likely distressed, ${needsWork} needing some work`);
+
+  return assessed;
+}
+
+module.exports = {
+  findSignals,
+  assessListing,
+  estimateRehab,
+};
@@ -0,0 +1,159 @@
+/**
+ * Rent Estimate Cache
+ *
+ * Disk-backed cache of AVM rent estimates so listings that are still on the
+ * market next week don't cost another /avm/rent/long-term call.
+ *
+ * Entries are keyed by the canonical property key (see address.js) + beds/baths/sqft
+ * (a change in any of those can change the estimate) and expire after
+ * config.cache.rentEstimates.ttlDays.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const address = require('./address');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Loaded lazily from disk on first use
+let entries = null;
+let dirty = false;
+
+// Hit/miss counters for the run summary
+let hits = 0;
+let misses = 0;
+
+function settings() {
+  return config.cache.rentEstimates;
+}
+
+/**
+ * Build the cache key for a property: street|unit|zip|beds|baths|sqft
+ *
+ * @param {Object} property - Listing object
+ * @returns {string} - Cache key
+ */
+function cacheKey(property) {
+  return [address.propertyKey(property), property.bedrooms, property.bathrooms, property.squareFootage].join('|');
+}
+
+/**
+ * Convert a key from the old "<address> <zip>|beds|baths|sqft" format so
+ * entries saved before address normalization are still found
+ *
+ * @param {string} key - Stored key
+ * @returns {string} - Key in the current format
+ */
+function upgradeKey(key) {
+  const parts = key.split('|');
+  if (parts.length !== 4) return key;
+
+  const [oldAddress, bedrooms, bathrooms, squareFootage] = parts;
+  const zip = oldAddress.match(/\s(\d{5})$/);
+  const property = {
+    addressLine1: zip ? oldAddress.slice(0, zip.index) : oldAddress,
+    zipCode: zip ? zip[1] : '',
+  };
+  return [address.propertyKey(property), bedrooms, bathrooms, squareFootage].join('|');
+}
+
+function load() {
+  if (entries) return entries;
+
+  entries = {};
+  if (settings().enabled && fs.existsSync(settings().file)) {
+    try {
+      const stored = JSON.parse(fs.readFileSync(settings().file, 'utf-8')).entries || {};
+      for (const [key, entry] of Object.entries(stored)) {
+        entries[upgradeKey(key)] = entry;
+      }
+    } catch (error) {
+      console.error(`  ✗ Could not read rent cache ${settings().file}: ${error.message}`);
+    }
+  }
+  return entries;
+}
+
+function isFresh(entry) {
+  return Date.now() - new Date(entry.fetchedAt).getTime() < settings().ttlDays * DAY_MS;
+}
+
+/**
+ * Look up a cached rent estimate. With the cache disabled, only estimates
+ * fetched earlier in this run are found (e.g. by an investor profile
+ * revisiting a market's candidates).
+ *
+ * @param {Object} property - Listing object
+ * @returns {Object|null} - Cached { rent, rentRangeLow, rentRangeHigh } or null on a miss
+ */
+function get(property) {
+  const entry = load()[cacheKey(property)];
+  if (entry && isFresh(entry)) {
+    hits++;
+    return entry;
+  }
+
+  misses++;
+  return null;
+}
+
+/**
+ * Store a rent estimate fetched from the API
+ *
+ * @param {Object} property - Listing object
+ * @param {Object} rentData - AVM response
+ */
+function set(property, rentData) {
+  load()[cacheKey(property)] = {
+    rent: rentData.rent,
+    rentRangeLow: rentData.rentRangeLow,
+    rentRangeHigh: rentData.rentRangeHigh,
+    fetchedAt: new Date().toISOString(),
+  };
+  dirty = true;
+}
+
+/**
+ * Write the cache to disk, dropping expired entries. Replayed estimates are
+ * never saved: stamped as fetched now, a weeks-old fixture rent would stand
+ * in for real AVM lookups until it expired.
+ */
+function save() {
+  if (!settings().enabled || !dirty || config.api.replayDir) return;
+
+  const fresh = {};
+  for (const [key, entry] of Object.entries(load())) {
+    if (isFresh(entry)) fresh[key] = entry;
+  }
+  entries = fresh;
+
+  fs.mkdirSync(path.dirname(settings().file), { recursive: true });
+  fs.writeFileSync(settings().file, JSON.stringify({ updated: new Date().toISOString(), entries }, null, 2));
+  dirty = false;
+}
+
+/**
+ * Get cache hit/miss counts for this run
+ */
+function getStats() {
+  return { hits, misses };
+}
+
+/**
+ * Reset cache hit/miss counters
+ */
+function resetStats() {
+  hits = 0;
+  misses = 0;
+}
+
+module.exports = {
+  cacheKey,
+  upgradeKey,
+  get,
+  set,
+  save,
+  getStats,
+  resetStats,
+};
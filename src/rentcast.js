@@ -4,66 +4,182 @@
  * Handles all interactions with the RentCast API including:
  * - Fetching active sale listings
  * - Getting rent estimates (AVM)
- * - Rate limiting to respect API limits
+ * - Rate limiting, retries with backoff, and a per-run call budget
+ * - Replaying recorded responses (RENTCAST_REPLAY_DIR) and recording
+ *   live ones (RENTCAST_RECORD_DIR)
  */
 
 const axios = require('axios');
 const config = require('./config');
+const replay = require('./replay');
+const rentCache = require('./rentCache');
+const units = require('./units');
+const marketArea = require('./marketArea');
 
-// Create axios instance with default config
-const api = axios.create({
-  baseURL: config.api.baseUrl,
-  headers: {
-    'Accept': 'application/json',
-    'X-Api-Key': process.env.RENTCAST_API_KEY,
-  },
-});
+// HTTP client, created on first use so replay mode can be switched on
+// after this module is loaded
+let api = null;
 
-// Delay helper for rate limiting
-const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+function getClient() {
+  if (!api) {
+    api = config.api.replayDir
+      ? replay.createReplayClient(config.api.replayDir)
+      : axios.create({
+        baseURL: config.api.baseUrl,
+        headers: {
+          'Accept': 'application/json',
+          'X-Api-Key': process.env.RENTCAST_API_KEY,
+        },
+      });
+  }
+  return api;
+}
 
-// Track API calls for logging
+/**
+ * Use another HTTP client (anything with an axios-style get(url, { params })),
+ * e.g. a fake in tests. Pass null to go back to the default.
+ *
+ * @param {Object|null} client - Client to use
+ */
+function setClient(client) {
+  api = client;
+}
+
+// Delay helper for rate limiting (no need to wait on recorded responses)
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, config.api.replayDir ? 0 : ms));
+
+// Track API calls for logging and the per-run budget
 let apiCallCount = 0;
+let budgetExhausted = false;
+
+// Error code used when the per-run call budget is used up
+const BUDGET_EXCEEDED = 'API_BUDGET_EXCEEDED';
+
+/**
+ * Decide whether a failed request is worth retrying
+ * (rate limited, server error, or no response at all)
+ */
+function isRetryable(error) {
+  if (error.code === BUDGET_EXCEEDED) return false;
+  if (!error.response) return true;
+  return error.response.status === 429 || error.response.status >= 500;
+}
+
+/**
+ * How long to wait before the next attempt. Honors Retry-After
+ * (seconds or HTTP date) and otherwise backs off exponentially.
+ *
+ * @param {Object} error - Axios error
+ * @param {number} attempt - Retry number (1 = first retry)
+ * @returns {number} - Delay in ms
+ */
+function retryDelay(error, attempt) {
+  const { baseDelayMs, maxDelayMs } = config.api.retry;
+  const retryAfter = error.response && error.response.headers && error.response.headers['retry-after'];
+
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    const ms = Number.isNaN(seconds) ? new Date(retryAfter).getTime() - Date.now() : seconds * 1000;
+    if (ms >= 0) return Math.min(ms, maxDelayMs);
+  }
+
+  return Math.min(baseDelayMs * Math.pow(2, attempt - 1), maxDelayMs);
+}
 
 /**
- * Fetch active sale listings for a city
+ * Make a GET request with retries, enforcing the per-run call budget
+ * and recording the response if recording is enabled
+ *
+ * @param {string} url - Endpoint path
+ * @param {Object} params - Query params
+ * @returns {Promise<Object>} - Axios-style response
+ */
+async function request(url, params) {
+  for (let attempt = 0; ; attempt++) {
+    // Every attempt is a billable request, so check the budget each time
+    if (config.api.maxCallsPerRun && apiCallCount >= config.api.maxCallsPerRun) {
+      budgetExhausted = true;
+      const error = new Error(`API call budget of ${config.api.maxCallsPerRun} calls per run exhausted`);
+      error.code = BUDGET_EXCEEDED;
+      throw error;
+    }
+
+    try {
+      apiCallCount++;
+      const response = await getClient().get(url, { params });
+
+      if (config.api.recordDir && !config.api.replayDir) {
+        replay.recordResponse(config.api.recordDir, url, params, response.data);
+      }
+
+      return response;
+    } catch (error) {
+      if (attempt >= config.api.retry.maxRetries || !isRetryable(error)) throw error;
+
+      const wait = retryDelay(error, attempt + 1);
+      const status = error.response ? error.response.status : error.code || 'network error';
+      console.log(`  ↻ ${url} failed (${status}), retrying in ${(wait / 1000).toFixed(1)}s...`);
+      await delay(wait);
+    }
+  }
+}
+
+/**
+ * Fetch active sale listings for one search (a city, a zip code or a
+ * radius), following pages until exhausted
  * 
- * @param {string} city - City name
- * @param {string} state - State abbreviation
+ * @param {Object} query - { label, params } from marketArea.searchQueries
+ * @param {Object} filters - Listing filters (defaults to config.filters)
  * @returns {Promise<Array>} - Array of listing objects
+ * @throws {Error} - If a page cannot be fetched after retries
  */
-async function getListings(city, state) {
-  try {
+async function getListings(query, filters = config.filters) {
+  const pageSize = filters.limitPerCity;
+  const { label } = query;
+  let listings = [];
+
+  console.log(`  📡 Fetching listings for ${label}...`);
+
+  for (let page = 0; page < filters.maxPagesPerCity; page++) {
     const params = {
-      city,
-      state,
-      status: config.filters.status,
-      propertyType: config.filters.propertyTypes.join('|'),
-      price: `${config.filters.minPrice}:${config.filters.maxPrice}`,
-      bedrooms: `${config.filters.minBedrooms}:*`,
-      limit: config.filters.limitPerCity,
+      ...query.params,
+      status: filters.status,
+      propertyType: filters.propertyTypes.join('|'),
+      price: `${filters.minPrice}:${filters.maxPrice}`,
+      bedrooms: `${filters.minBedrooms}:*`,
+      limit: pageSize,
+      // Omitted on the first page (the API default)
+      offset: page > 0 ? page * pageSize : undefined,
     };
 
-    console.log(`  📡 Fetching listings for ${city}, ${state}...`);
-    
-    const response = await api.get('/listings/sale', { params });
-    apiCallCount++;
-    
-    const listings = response.data || [];
-    console.log(`  ✓ Found ${listings.length} listings in ${city}`);
-    
+    let response;
+    try {
+      response = await request('/listings/sale', params);
+    } catch (error) {
+      console.error(`  ✗ Error fetching ${label} (page ${page + 1}): ${error.message}`);
+      if (error.response) {
+        console.error(`    Status: ${error.response.status}`);
+        console.error(`    Data: ${JSON.stringify(error.response.data)}`);
+      }
+      throw error;
+    }
+
+    const pageListings = response.data || [];
+    listings = listings.concat(pageListings);
+
     // Respect rate limits
     await delay(config.api.requestDelay);
-    
-    return listings;
-  } catch (error) {
-    console.error(`  ✗ Error fetching ${city}: ${error.message}`);
-    if (error.response) {
-      console.error(`    Status: ${error.response.status}`);
-      console.error(`    Data: ${JSON.stringify(error.response.data)}`);
+
+    // A short page means there is nothing left to fetch
+    if (pageListings.length < pageSize) break;
+
+    if (page === filters.maxPagesPerCity - 1) {
+      console.log(`  ⚠️  Stopped after ${filters.maxPagesPerCity} pages for ${label}; more listings may exist`);
     }
-    return [];
   }
+
+  console.log(`  ✓ Found ${listings.length} listings in ${label}`);
+  return listings;
 }
 
 /**
@@ -73,28 +189,32 @@ async function getListings(city, state) {
  * @param {number} bedrooms - Number of bedrooms
  * @param {number} bathrooms - Number of bathrooms
  * @param {number} squareFootage - Property square footage
+ * @param {string} propertyType - AVM property type (see units.avmPropertyType)
  * @returns {Promise<Object|null>} - Rent estimate object or null
+ * @throws {Error} - If the per-run API call budget is exhausted
  */
-async function getRentEstimate(address, bedrooms, bathrooms, squareFootage) {
+async function getRentEstimate(address, bedrooms, bathrooms, squareFootage, propertyType = 'Single Family') {
   try {
     const params = {
       address,
-      propertyType: 'Single Family',
+      propertyType,
       bedrooms: bedrooms || 3,
       bathrooms: bathrooms || 2,
       squareFootage: squareFootage || 1500,
     };
 
-    const response = await api.get('/avm/rent/long-term', { params });
-    apiCallCount++;
+    const response = await request('/avm/rent/long-term', params);
     
     // Respect rate limits
     await delay(config.api.requestDelay);
     
     return response.data;
   } catch (error) {
+    // Budget exhaustion must reach the caller so it can stop enrichment
+    if (error.code === BUDGET_EXCEEDED) throw error;
+    
     // Don't log every error to avoid noise - some addresses may not have data
-    if (error.response && error.response.status !== 404) {
+    if (!error.response || error.response.status !== 404) {
       console.error(`  ✗ Rent estimate error for ${address}: ${error.message}`);
     }
     return null;
@@ -102,18 +222,20 @@ async function getRentEstimate(address, bedrooms, bathrooms, squareFootage) {
 }
 
 /**
- * Fetch listings for all cities in a market
+ * Fetch listings for every search in a market (its cities, zip codes or
+ * radius), keeping only those within the market's boundary
  * 
  * @param {Object} market - Market configuration object
+ * @param {Object} filters - Market's effective filters (defaults to config.filters)
  * @returns {Promise<Array>} - Combined array of all listings
  */
-async function getListingsForMarket(market) {
+async function getListingsForMarket(market, filters = config.filters) {
   console.log(`\n🏘️  Fetching listings for ${market.name}...`);
   
   let allListings = [];
   
-  for (const location of market.cities) {
-    const listings = await getListings(location.city, location.state);
+  for (const query of marketArea.searchQueries(market)) {
+    const listings = await getListings(query, filters);
     
     // Add market identifier to each listing
     const enrichedListings = listings.map(listing => ({
@@ -124,13 +246,47 @@ async function getListingsForMarket(market) {
     
     allListings = allListings.concat(enrichedListings);
   }
+
+  const inMarket = allListings.filter(listing => marketArea.withinMarket(listing, market));
+  if (inMarket.length < allListings.length) {
+    console.log(`  📍 Dropped ${allListings.length - inMarket.length} listings outside the market boundary`);
+  }
   
-  console.log(`  📊 Total for ${market.name}: ${allListings.length} listings`);
-  return allListings;
+  console.log(`  📊 Total for ${market.name}: ${inMarket.length} listings`);
+  return inMarket;
 }
 
 /**
- * Get rent estimates for multiple properties with rate limiting
+ * Look up rent for one unit layout, using the cache when possible.
+ * Once the call budget is spent, only cached estimates are used.
+ * 
+ * @param {Object} unitProperty - Listing with the unit's beds/baths/sqft
+ * @param {string} address - Full property address
+ * @param {string} propertyType - AVM property type
+ * @returns {Promise<Object|null>} - Rent estimate object or null
+ */
+async function lookupRent(unitProperty, address, propertyType) {
+  let rentData = rentCache.get(unitProperty);
+  if (!rentData && !budgetExhausted) {
+    try {
+      rentData = await getRentEstimate(
+        address,
+        unitProperty.bedrooms,
+        unitProperty.bathrooms,
+        unitProperty.squareFootage,
+        propertyType
+      );
+    } catch (error) {
+      console.log(`  ⚠️  ${error.message}; using cached estimates only from here on`);
+    }
+    if (rentData && rentData.rent) rentCache.set(unitProperty, rentData);
+  }
+  return rentData && rentData.rent ? rentData : null;
+}
+
+/**
+ * Get rent estimates for multiple properties with rate limiting.
+ * Multi-family listings are estimated per unit and summed.
  * 
  * @param {Array} properties - Array of property objects
  * @param {Function} progressCallback - Optional callback for progress updates
@@ -152,19 +308,40 @@ async function enrichWithRentEstimates(properties, progressCallback) {
       property.zipCode
     ].filter(Boolean).join(', ');
     
-    const rentData = await getRentEstimate(
-      address,
-      property.bedrooms,
-      property.bathrooms,
-      property.squareFootage
-    );
+    const propertyType = units.avmPropertyType(property);
+    const breakdown = units.describeUnits(property);
+    
+    // Units with the same layout share one estimate
+    const estimates = new Map();
+    for (const unit of breakdown.units) {
+      const layout = `${unit.bedrooms}|${unit.bathrooms}|${unit.squareFootage}`;
+      if (!estimates.has(layout)) {
+        estimates.set(layout, await lookupRent({ ...property, ...unit }, address, propertyType));
+      }
+    }
+    
+    const unitEstimates = breakdown.units.map(unit => ({
+      ...unit,
+      estimate: estimates.get(`${unit.bedrooms}|${unit.bathrooms}|${unit.squareFootage}`),
+    }));
     
-    if (rentData && rentData.rent) {
+    // Only use the property if every unit could be estimated (a zero rent
+    // is no estimate: it would make yields 0 and the GRM infinite)
+    if (unitEstimates.every(unit => unit.estimate && unit.estimate.rent > 0)) {
+      const sum = key => unitEstimates.reduce((total, unit) => total + (unit.estimate[key] || 0), 0);
       enriched.push({
         ...property,
-        rentEstimate: rentData.rent,
-        rentRangeLow: rentData.rentRangeLow,
-        rentRangeHigh: rentData.rentRangeHigh,
+        rentEstimate: sum('rent'),
+        rentRangeLow: sum('rentRangeLow'),
+        rentRangeHigh: sum('rentRangeHigh'),
+        unitCount: breakdown.unitCount,
+        unitCountSource: breakdown.source,
+        units: unitEstimates.map(({ estimate, ...unit }) => ({
+          ...unit,
+          rentEstimate: estimate.rent,
+          rentRangeLow: estimate.rentRangeLow,
+          rentRangeHigh: estimate.rentRangeHigh,
+        })),
       });
     }
     
@@ -176,7 +353,11 @@ async function enrichWithRentEstimates(properties, progressCallback) {
     }
   }
   
+  rentCache.save();
+  
+  const cacheStats = rentCache.getStats();
   console.log(`  ✓ Got rent estimates for ${enriched.length} properties`);
+  console.log(`  💾 Rent cache: ${cacheStats.hits} hits, ${cacheStats.misses} paid lookups so far this run`);
   return enriched;
 }
 
@@ -188,17 +369,28 @@ function getApiCallCount() {
 }
 
 /**
- * Reset API call counter
+ * Whether the per-run API call budget has been used up
+ */
+function isBudgetExhausted() {
+  return budgetExhausted;
+}
+
+/**
+ * Reset API call counter (and budget state)
  */
 function resetApiCallCount() {
   apiCallCount = 0;
+  budgetExhausted = false;
 }
 
 module.exports = {
+  setClient,
   getListings,
   getRentEstimate,
   getListingsForMarket,
   enrichWithRentEstimates,
   getApiCallCount,
   resetApiCallCount,
+  isBudgetExhausted,
+  BUDGET_EXCEEDED,
 };
@@ -0,0 +1,103 @@
+/**
+ * RentCast Replay / Record Support
+ *
+ * Lets the pipeline run end to end without network access by serving
+ * recorded RentCast responses from a fixture directory instead of the API.
+ *
+ * Fixture layout (one JSON file per response body):
+ *   <dir>/listings-sale/killeen-tx.json            (city search)
+ *   <dir>/listings-sale/76502.json                 (zip code search)
+ *   <dir>/listings-sale/30-9471-97-5386-8.json     (radius search)
+ *   <dir>/avm-rent-long-term/<address>-single-family-3-2-1479.json
+ *
+ * Fixtures can be captured from a live run by setting RENTCAST_RECORD_DIR.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Params that identify a response for each endpoint. Anything else
+// (price range, limits, property types) is ignored so fixtures keep
+// working while filters and analysis parameters are tuned.
+const FIXTURE_KEYS = {
+  '/listings/sale': ['city', 'state', 'zipCode', 'latitude', 'longitude', 'radius', 'offset'],
+  '/avm/rent/long-term': ['address', 'propertyType', 'bedrooms', 'bathrooms', 'squareFootage'],
+};
+
+/**
+ * Turn arbitrary text into a filename-safe slug
+ *
+ * @param {string} text - Text to slugify
+ * @returns {string} - Lowercase slug
+ */
+function slugify(text) {
+  return String(text)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Resolve the fixture file for a request
+ *
+ * @param {string} dir - Fixture directory
+ * @param {string} url - Endpoint path (e.g. '/listings/sale')
+ * @param {Object} params - Query params sent to the endpoint
+ * @returns {string} - Path to the fixture JSON file
+ */
+function fixturePath(dir, url, params = {}) {
+  const keys = FIXTURE_KEYS[url] || Object.keys(params).sort();
+  const name = keys
+    .map(key => params[key])
+    .filter(value => value !== undefined && value !== null && value !== '')
+    .join('-');
+
+  return path.join(dir, slugify(url), `${slugify(name) || 'default'}.json`);
+}
+
+/**
+ * Create a client that answers requests from recorded fixtures.
+ * Mirrors the subset of the axios instance API used by rentcast.js.
+ *
+ * @param {string} dir - Fixture directory
+ * @returns {Object} - Client with an axios-style get(url, { params })
+ */
+function createReplayClient(dir) {
+  return {
+    async get(url, { params } = {}) {
+      const file = fixturePath(dir, url, params);
+
+      if (!fs.existsSync(file)) {
+        // Shape the miss like an axios 404 so callers handle it the same way
+        const error = new Error(`No recorded response for ${url} (${path.relative(dir, file)})`);
+        error.response = { status: 404, data: { message: 'Fixture not found' } };
+        throw error;
+      }
+
+      return {
+        status: 200,
+        data: JSON.parse(fs.readFileSync(file, 'utf-8')),
+      };
+    },
+  };
+}
+
+/**
+ * Save a live response so it can be replayed later
+ *
+ * @param {string} dir - Fixture directory
+ * @param {string} url - Endpoint path
+ * @param {Object} params - Query params sent to the endpoint
+ * @param {*} data - Response body
+ */
+function recordResponse(dir, url, params, data) {
+  const file = fixturePath(dir, url, params);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(data, null, 2));
+}
+
+module.exports = {
+  createReplayClient,
+  recordResponse,
+  fixturePath,
+};
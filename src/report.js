@@ -0,0 +1,207 @@
+/**
+ * Run Report Module
+ *
+ * Builds a machine-readable report for each pipeline run:
+ * - Per-market status, funnel stage counts, warnings and errors
+ * - Per-investor-profile status and deal counts
+ * - Whether stale data was kept instead of fresh results
+ * - API usage and rent cache hits
+ *
+ * When any market degrades, an alert payload is written (and optionally
+ * POSTed to a webhook) so failures don't go unnoticed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const config = require('./config');
+const { round } = require('./numbers');
+
+/**
+ * Start a report for a run
+ *
+ * @param {string} mode - 'live', 'replay' or 'test'
+ * @returns {Object} - Run report
+ */
+function createRunReport(mode) {
+  return {
+    mode,
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    status: 'ok',
+    markets: [],
+    profiles: [],
+  };
+}
+
+/**
+ * Add a market entry to the report
+ *
+ * @param {Object} report - Run report
+ * @param {Object} market - Market configuration
+ * @returns {Object} - Market entry, filled in while the market is processed
+ */
+function startMarket(report, market) {
+  const entry = {
+    id: market.id,
+    name: market.name,
+    status: 'ok',
+    stages: {},
+    deals: 0,
+    staleDataRetained: false,
+    warnings: [],
+    errors: [],
+  };
+  report.markets.push(entry);
+  return entry;
+}
+
+/**
+ * Settle a market's status once its output is known
+ *
+ * - failed: an error stopped the pipeline and no deals were produced
+ * - degraded: no deals, stale data kept, or a warning (e.g. budget exhausted)
+ * - ok: fresh deals published
+ *
+ * @param {Object} entry - Market entry from startMarket
+ * @param {Object} output - Output that was published for the market
+ * @param {boolean} staleDataRetained - Whether last week's data was kept
+ */
+function finishMarket(entry, output, staleDataRetained) {
+  entry.staleDataRetained = staleDataRetained;
+  entry.deals = staleDataRetained ? 0 : output.deals.length;
+
+  if (entry.errors.length > 0 && entry.deals === 0) {
+    entry.status = 'failed';
+  } else if (entry.deals === 0 || staleDataRetained || entry.warnings.length > 0 || entry.errors.length > 0) {
+    entry.status = 'degraded';
+  }
+}
+
+/**
+ * Add an investor profile entry to the report
+ *
+ * @param {Object} report - Run report
+ * @param {Object} profile - Investor profile
+ * @returns {Object} - Profile entry, filled in while the profile is evaluated
+ */
+function startProfile(report, profile) {
+  const entry = {
+    id: profile.id,
+    name: profile.name,
+    status: 'ok',
+    deals: 0,
+    warnings: [],
+    errors: [],
+  };
+  report.profiles.push(entry);
+  return entry;
+}
+
+/**
+ * Settle a profile's status. A narrow buy box that matches nothing this week
+ * is still ok; errors make it failed and warnings (e.g. budget) degraded.
+ *
+ * @param {Object} entry - Profile entry from startProfile
+ * @param {Object|null} output - Output that was written (null if none)
+ */
+function finishProfile(entry, output) {
+  entry.deals = output ? output.deals.length : 0;
+
+  if (entry.errors.length > 0) {
+    entry.status = 'failed';
+  } else if (entry.warnings.length > 0) {
+    entry.status = 'degraded';
+  }
+}
+
+/**
+ * Close out the run report
+ *
+ * @param {Object} report - Run report
+ * @param {Object} usage - { apiCalls, budgetExhausted, rentCache }
+ * @returns {Object} - Completed report
+ */
+function finishRunReport(report, usage) {
+  report.finishedAt = new Date().toISOString();
+  report.durationSeconds = round((new Date(report.finishedAt) - new Date(report.startedAt)) / 1000, 1);
+  report.apiCalls = usage.apiCalls;
+  report.budgetExhausted = usage.budgetExhausted;
+  report.rentCache = usage.rentCache;
+
+  const degraded = [...report.markets, ...report.profiles].filter(m => m.status !== 'ok');
+  if (degraded.some(m => m.status === 'failed')) {
+    report.status = 'failed';
+  } else if (degraded.length > 0) {
+    report.status = 'degraded';
+  }
+
+  return report;
+}
+
+/**
+ * Build the alert payload for a degraded run.
+ * `text` is a one-line summary (Slack/Teams-compatible webhook field).
+ *
+ * @param {Object} report - Completed run report
+ * @returns {Object} - Alert payload
+ */
+function buildAlertPayload(report) {
+  const problems = [...report.markets, ...report.profiles]
+    .filter(m => m.status !== 'ok')
+    .map(m => {
+      const reasons = [...m.errors, ...m.warnings];
+      if (m.staleDataRetained) reasons.push('kept last week\'s data');
+      return `${m.name}: ${m.status}${reasons.length ? ` (${reasons.join('; ')})` : ''}`;
+    });
+
+  return {
+    subject: `Deal analyzer run ${report.status}`,
+    text: `Deal analyzer run ${report.status} at ${report.finishedAt}. ${problems.join(' | ')}`,
+    report,
+  };
+}
+
+/**
+ * Write the run report and, if any market degraded, the alert payload
+ * (POSTed to config.alerts.webhookUrl when set)
+ *
+ * @param {Object} report - Completed run report
+ * @returns {Promise<void>}
+ */
+async function publishRunReport(report) {
+  fs.mkdirSync(path.dirname(config.alerts.reportFile), { recursive: true });
+  fs.writeFileSync(config.alerts.reportFile, JSON.stringify(report, null, 2));
+  console.log(`📋 Run report written to ${config.alerts.reportFile}`);
+
+  if (report.status === 'ok') {
+    // Clear any alert left over from a previous run
+    fs.rmSync(config.alerts.payloadFile, { force: true });
+    return;
+  }
+
+  const payload = buildAlertPayload(report);
+  fs.mkdirSync(path.dirname(config.alerts.payloadFile), { recursive: true });
+  fs.writeFileSync(config.alerts.payloadFile, JSON.stringify(payload, null, 2));
+  console.log(`🚨 Alert payload written to ${config.alerts.payloadFile}`);
+
+  if (config.alerts.webhookUrl) {
+    try {
+      await axios.post(config.alerts.webhookUrl, payload);
+      console.log('🚨 Alert sent to webhook');
+    } catch (error) {
+      console.error(`  ✗ Could not send alert webhook: ${error.message}`);
+    }
+  }
+}
+
+module.exports = {
+  createRunReport,
+  startMarket,
+  finishMarket,
+  startProfile,
+  finishProfile,
+  finishRunReport,
+  buildAlertPayload,
+  publishRunReport,
+};
@@ -0,0 +1,79 @@
+/**
+ * Output Schema
+ *
+ * Market deal files are consumed by index.html straight from the repo, so
+ * their shape is a contract. It is written down as a JSON Schema in
+ * schema/market-output.v<major>.schema.json and every file is validated
+ * against it before it is written. Investor profile files
+ * (schema/profile-output.v<major>.schema.json) reuse the same deal shape
+ * and share its version.
+ *
+ * Versioning (schemaVersion in each file):
+ * - patch: documentation or validation fixes, same shape
+ * - minor: new optional fields; older frontends keep working
+ * - major: fields removed, renamed or changing type; needs a new schema file
+ *   and a frontend update
+ */
+
+const Ajv = require('ajv');
+const marketSchema = require('../schema/market-output.v1.schema.json');
+const profileSchema = require('../schema/profile-output.v1.schema.json');
+
+const SCHEMA_VERSION = '1.6.0';
+
+// Compiled once on first use
+let validators = null;
+
+function getValidators() {
+  if (!validators) {
+    const ajv = new Ajv({ allErrors: true, allowUnionTypes: true });
+    ajv.addSchema(marketSchema);
+    validators = {
+      market: ajv.getSchema(marketSchema.$id),
+      profile: ajv.compile(profileSchema),
+    };
+  }
+  return validators;
+}
+
+function validate(kind, data) {
+  const validator = getValidators()[kind];
+  if (validator(data)) {
+    return { valid: true, errors: [] };
+  }
+
+  const errors = validator.errors.map(error => {
+    const where = error.instancePath || '(root)';
+    const detail = error.keyword === 'additionalProperties'
+      ? `unexpected property "${error.params.additionalProperty}"`
+      : error.message;
+    return `${where}: ${detail}`;
+  });
+  return { valid: false, errors };
+}
+
+/**
+ * Validate a market output object against the schema
+ *
+ * @param {Object} data - Output from analyze.createMarketOutput
+ * @returns {Object} - { valid, errors } where errors are readable strings
+ */
+function validateMarketOutput(data) {
+  return validate('market', data);
+}
+
+/**
+ * Validate an investor profile output object against the schema
+ *
+ * @param {Object} data - Output from profiles.createProfileOutput
+ * @returns {Object} - { valid, errors } where errors are readable strings
+ */
+function validateProfileOutput(data) {
+  return validate('profile', data);
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  validateMarketOutput,
+  validateProfileOutput,
+};
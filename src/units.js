@@ -0,0 +1,102 @@
+/**
+ * Unit Breakdown for Multi-Family Listings
+ *
+ * RentCast's AVM estimates rent for a single unit, so a duplex has to be
+ * priced unit by unit rather than as one large house. This module works out
+ * how many units a listing has and what each unit looks like.
+ *
+ * Unit count comes from (in order):
+ * - the listing itself (a numeric `units`, `unitCount` or `features.unitCount`;
+ *   after rent enrichment `units` holds the per-unit layouts instead)
+ * - an address range such as "611-613 N 6th St" (a duplex)
+ * - config.multiFamily.defaultUnitCount
+ *
+ * Beds, baths and square footage are split evenly across units.
+ */
+
+const config = require('./config');
+const { round } = require('./numbers');
+
+// AVM property types RentCast accepts; listing types outside this list
+// fall back to 'Single Family'
+const AVM_PROPERTY_TYPES = ['Single Family', 'Condo', 'Townhouse', 'Manufactured', 'Multi-Family', 'Apartment'];
+
+/**
+ * Whether a listing should be analyzed per unit
+ */
+function isMultiFamily(listing) {
+  return listing.propertyType === 'Multi-Family';
+}
+
+/**
+ * Map a listing's property type to the type sent to the AVM endpoint
+ *
+ * @param {Object} listing - Listing object
+ * @returns {string} - AVM property type
+ */
+function avmPropertyType(listing) {
+  return AVM_PROPERTY_TYPES.includes(listing.propertyType) ? listing.propertyType : 'Single Family';
+}
+
+/**
+ * Work out a multi-family listing's unit count and where it came from
+ *
+ * @param {Object} listing - Listing object
+ * @returns {Object} - { unitCount, source }
+ */
+function detectUnitCount(listing) {
+  const fromListing = [listing.units, listing.unitCount, listing.features && listing.features.unitCount].find(Number.isFinite);
+  if (fromListing > 1) {
+    return { unitCount: Math.min(fromListing, config.multiFamily.maxUnitCount), source: 'listing' };
+  }
+
+  // "611-613 N 6th St" is two addresses on one lot; "611-615" could be three
+  const range = String(listing.addressLine1 || listing.formattedAddress || '').match(/^(\d+)\s*-\s*(\d+)\s/);
+  if (range) {
+    const first = Number(range[1]);
+    const last = Number(range[2]);
+    // Street numbers on one side of the street usually step by 2
+    const count = last > first ? Math.floor((last - first) / 2) + 1 : 0;
+    if (count > 1 && count <= config.multiFamily.maxUnitCount) {
+      return { unitCount: count, source: 'address' };
+    }
+  }
+
+  return { unitCount: config.multiFamily.defaultUnitCount, source: 'default' };
+}
+
+/**
+ * Describe the units of a listing. Single-family homes are one unit.
+ *
+ * @param {Object} listing - Listing object
+ * @returns {Object} - { unitCount, source, units: [{ bedrooms, bathrooms, squareFootage }] }
+ */
+function describeUnits(listing) {
+  if (!isMultiFamily(listing)) {
+    return {
+      unitCount: 1,
+      source: 'single',
+      units: [{ bedrooms: listing.bedrooms, bathrooms: listing.bathrooms, squareFootage: listing.squareFootage }],
+    };
+  }
+
+  const { unitCount, source } = detectUnitCount(listing);
+  const unit = {
+    bedrooms: listing.bedrooms ? Math.max(1, round(listing.bedrooms / unitCount)) : undefined,
+    // Round to the nearest half bath, at least one per unit
+    bathrooms: listing.bathrooms ? Math.max(1, round((listing.bathrooms / unitCount) * 2) / 2) : undefined,
+    squareFootage: listing.squareFootage ? round(listing.squareFootage / unitCount) : undefined,
+  };
+
+  return {
+    unitCount,
+    source,
+    units: Array.from({ length: unitCount }, () => ({ ...unit })),
+  };
+}
+
+module.exports = {
+  isMultiFamily,
+  avmPropertyType,
+  describeUnits,
+};
@@ -0,0 +1,216 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../src/config');
+const analyze = require('../src/analyze');
+const { SCHEMA_VERSION, validateMarketOutput } = require('../src/schema');
+const { setUp, listing, rentedListing, market } = require('./helpers');
+
+before(setUp);
+
+describe('calculateGrossYield', () => {
+  it('is annual rent as a percentage of price', () => {
+    assert.equal(analyze.calculateGrossYield(18000, 200000), 9);
+  });
+
+  it('is 0 for zero rent', () => {
+    assert.equal(analyze.calculateGrossYield(0, 200000), 0);
+  });
+
+  it('is 0 rather than Infinity for a zero or missing price', () => {
+    assert.equal(analyze.calculateGrossYield(18000, 0), 0);
+    assert.equal(analyze.calculateGrossYield(18000, undefined), 0);
+  });
+});
+
+describe('applyHeuristicFilter', () => {
+  // At the default $1.00/sqft, a 1,500 sqft home rents for $1,500 (12% at $150k)
+  it('keeps listings whose heuristic yield meets the threshold', () => {
+    const kept = analyze.applyHeuristicFilter([
+      listing({ addressLine1: '1 High Yield St' }),
+      listing({ addressLine1: '2 Low Yield St', price: 400000 }),
+    ]);
+    assert.deepEqual(kept.map(l => l.addressLine1), ['1 High Yield St']);
+  });
+
+  it('drops listings without square footage or price', () => {
+    const kept = analyze.applyHeuristicFilter([
+      listing({ squareFootage: null }),
+      listing({ squareFootage: 0 }),
+      listing({ price: null }),
+    ]);
+    assert.equal(kept.length, 0);
+  });
+
+  it('applies the price, bedroom and property type filters', () => {
+    const { minPrice, maxPrice, minBedrooms } = config.filters;
+    const kept = analyze.applyHeuristicFilter([
+      listing({ price: minPrice - 1, squareFootage: 1000 }),
+      listing({ price: maxPrice + 1, squareFootage: 9000 }),
+      listing({ bedrooms: minBedrooms - 1 }),
+      listing({ propertyType: 'Land' }),
+    ]);
+    assert.equal(kept.length, 0);
+  });
+
+  it('uses a listing\'s own (zip-level) parameters', () => {
+    const strict = { ...config, analysis: { ...config.analysis, minYieldThreshold: 20 } };
+    const kept = analyze.applyHeuristicFilter([listing({ params: strict })]);
+    assert.equal(kept.length, 0);
+  });
+
+  it('returns an empty list for an empty market', () => {
+    assert.deepEqual(analyze.applyHeuristicFilter([]), []);
+  });
+});
+
+describe('selectTopCandidates', () => {
+  it('sorts by heuristic yield and keeps maxPropertiesToAnalyze', () => {
+    const params = { ...config, analysis: { ...config.analysis, maxPropertiesToAnalyze: 2 } };
+    const candidates = analyze.selectTopCandidates([
+      listing({ addressLine1: '1 Mid St', price: 150000 }),
+      listing({ addressLine1: '2 Best St', price: 120000 }),
+      listing({ addressLine1: '3 Worst St', price: 200000 }),
+    ], params);
+
+    assert.deepEqual(candidates.map(l => l.addressLine1), ['2 Best St', '1 Mid St']);
+    assert.equal(candidates[0].heuristicRent, 1500);
+    assert.equal(candidates[0].heuristicYield, 15);
+  });
+
+  it('prefers a calibrated rent per sqft over the configured one', () => {
+    const [candidate] = analyze.selectTopCandidates([listing({ heuristicRentPerSqft: 1.2 })]);
+    assert.equal(candidate.heuristicRent, 1800);
+  });
+
+  it('returns an empty list for an empty market', () => {
+    assert.deepEqual(analyze.selectTopCandidates([]), []);
+  });
+});
+
+describe('calculateInvestmentMetrics', () => {
+  it('calculates yield, GRM, the 1% rule and financed metrics', () => {
+    const [deal] = analyze.calculateInvestmentMetrics([rentedListing()]);
+
+    assert.equal(deal.annualRent, 18000);
+    assert.equal(deal.grossYield, 12);
+    assert.equal(deal.grm, 8.3);
+    assert.equal(deal.meetsOnePercentRule, true);
+    assert.equal(deal.unitCount, 1);
+    assert.equal(deal.financing.downPayment, Math.round(150000 * config.financing.downPaymentPct));
+    assert.equal(deal.financing.loanAmount, 150000 - deal.financing.downPayment);
+    assert.equal(typeof deal.capRate, 'number');
+    assert.equal(typeof deal.monthlyCashFlow, 'number');
+  });
+
+  it('deducts the itemized expenses from rent for NOI', () => {
+    const [deal] = analyze.calculateInvestmentMetrics([rentedListing()]);
+    assert.equal(deal.annualNOI, Math.round(18000 - deal.expenses.totalAnnual));
+  });
+
+  it('uses an HOA fee and assessed value from the listing', () => {
+    const [deal] = analyze.calculateInvestmentMetrics([rentedListing({
+      hoa: { fee: 40 },
+      taxAssessments: { 2025: { year: 2025, value: 100000 } },
+    })]);
+
+    assert.equal(deal.expenses.hoa.annual, 480);
+    assert.equal(deal.expenses.propertyTax.annual, Math.round(100000 * config.analysis.propertyTaxRate));
+  });
+
+  it('falls back to insurance by price without square footage', () => {
+    const [deal] = analyze.calculateInvestmentMetrics([rentedListing({ squareFootage: null })]);
+    assert.equal(deal.expenses.insurance.annual, Math.round(150000 * config.analysis.insuranceRate));
+  });
+
+  it('reports a null DSCR for all-cash purchases', () => {
+    const allCash = { ...config, financing: { ...config.financing, downPaymentPct: 1 } };
+    const [deal] = analyze.calculateInvestmentMetrics([rentedListing({ params: allCash })]);
+    assert.equal(deal.dscr, null);
+    assert.equal(deal.financing.loanAmount, 0);
+  });
+
+  it('flags deals that lose money in the downside scenario', () => {
+    const [deal] = analyze.calculateInvestmentMetrics([rentedListing({ rentEstimate: 900, rentRangeLow: 800 })]);
+    assert.equal(deal.downsideCashFlowNegative, true);
+    assert.ok(deal.scenarios.downside.monthlyCashFlow < deal.scenarios.base.monthlyCashFlow);
+  });
+
+  it('gives a zero yield for zero rent', () => {
+    const [deal] = analyze.calculateInvestmentMetrics([rentedListing({ rentEstimate: 0, rentRangeLow: 0, rentRangeHigh: 0 })]);
+    assert.equal(deal.grossYield, 0);
+    assert.equal(deal.meetsOnePercentRule, false);
+  });
+});
+
+describe('rankAndSelectTopDeals', () => {
+  const deals = () => analyze.calculateInvestmentMetrics([
+    rentedListing({ addressLine1: '1 Okay St', rentEstimate: 1500 }),
+    rentedListing({ addressLine1: '2 Best St', rentEstimate: 1900 }),
+    rentedListing({ addressLine1: '3 Worst St', rentEstimate: 1300 }),
+  ]);
+
+  it('ranks by the strategy score, highest first, and keeps topDealsCount', () => {
+    const params = { ...config, analysis: { ...config.analysis, topDealsCount: 2 } };
+    const top = analyze.rankAndSelectTopDeals(deals(), 'grossYield', params);
+
+    assert.deepEqual(top.map(d => d.addressLine1), ['2 Best St', '1 Okay St']);
+    assert.equal(top[0].score, top[0].grossYield);
+    assert.deepEqual(top[0].scoreBreakdown, { grossYield: top[0].grossYield });
+  });
+
+  it('demotes deals priced far below comps', () => {
+    const withComps = deals().map(d => ({
+      ...d,
+      comps: d.addressLine1 === '2 Best St' ? { farBelowComps: true } : null,
+    }));
+    const top = analyze.rankAndSelectTopDeals(withComps, 'grossYield');
+    assert.equal(top[top.length - 1].addressLine1, '2 Best St');
+  });
+
+  it('rejects an unknown strategy', () => {
+    assert.throws(() => analyze.rankAndSelectTopDeals(deals(), 'bestVibes'), /Unknown ranking strategy "bestVibes"/);
+  });
+
+  it('returns no deals for an empty market', () => {
+    assert.deepEqual(analyze.rankAndSelectTopDeals([], 'grossYield'), []);
+  });
+});
+
+describe('createMarketOutput', () => {
+  it('numbers the deals and summarizes them in a schema-valid file', () => {
+    const top = analyze.rankAndSelectTopDeals(analyze.calculateInvestmentMetrics([
+      rentedListing({ addressLine1: '1 Okay St', rentEstimate: 1500 }),
+      rentedListing({ addressLine1: '2 Best St', rentEstimate: 1900 }),
+    ]), 'grossYield');
+    const output = analyze.createMarketOutput(top, market());
+
+    assert.equal(output.schemaVersion, SCHEMA_VERSION);
+    assert.deepEqual(output.market, { id: 'test-market', name: 'Test Market' });
+    assert.deepEqual(output.deals.map(d => d.rank), [1, 2]);
+    assert.equal(output.deals[0].address, '2 Best St, Temple, TX 76501');
+    assert.equal(output.summary.totalDeals, 2);
+    assert.equal(output.summary.topYield, 15.2);
+    assert.deepEqual(validateMarketOutput(output), { valid: true, errors: [] });
+  });
+
+  it('writes null rather than leaving out optional listing fields', () => {
+    const top = analyze.calculateInvestmentMetrics([rentedListing({ yearBuilt: undefined, daysOnMarket: undefined })]);
+    const [deal] = analyze.createMarketOutput(top, market()).deals;
+    assert.equal(deal.yearBuilt, null);
+    assert.equal(deal.daysOnMarket, null);
+    assert.equal(deal.listingDate, null);
+  });
+
+  it('produces a valid, empty file for an empty market', () => {
+    const output = analyze.createMarketOutput([], market());
+    assert.deepEqual(output.deals, []);
+    assert.equal(output.summary.totalDeals, 0);
+    assert.deepEqual(validateMarketOutput(output), { valid: true, errors: [] });
+  });
+
+  it('records an unknown ranking strategy as given instead of throwing', () => {
+    const output = analyze.createMarketOutput([], market({ ranking: { strategy: 'capRte' } }));
+    assert.deepEqual(output.ranking, { strategy: 'capRte', options: {} });
+    assert.deepEqual(validateMarketOutput(output), { valid: true, errors: [] });
+  });
+});
@@ -0,0 +1,123 @@
+/**
+ * Test Helpers
+ *
+ * Listing fixtures, a fake RentCast client and a config that keeps the
+ * pipeline off the network and the disk (no rent cache, no calibration
+ * file, no request delays).
+ */
+
+const { mock } = require('node:test');
+const config = require('../src/config');
+const rentcast = require('../src/rentcast');
+
+/**
+ * Point the shared config at test settings and silence pipeline logging
+ */
+function setUp() {
+  config.api.requestDelay = 0;
+  config.api.retry.maxRetries = 0;
+  config.api.maxCallsPerRun = null;
+  config.cache.rentEstimates.enabled = false;
+  config.calibration.enabled = false;
+  config.overrides = {};
+
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'error', () => {});
+}
+
+/**
+ * A single-family listing in Temple; any field can be overridden
+ *
+ * @param {Object} overrides - Fields to set
+ * @returns {Object} - Listing shaped like a RentCast /listings/sale result
+ */
+function listing(overrides = {}) {
+  const street = overrides.addressLine1 || '100 Test St';
+  const zipCode = overrides.zipCode || '76501';
+  return {
+    id: `${street}, Temple, TX ${zipCode}`.replace(/ /g, '-'),
+    formattedAddress: `${street}, Temple, TX ${zipCode}`,
+    addressLine1: street,
+    city: 'Temple',
+    state: 'TX',
+    zipCode,
+    propertyType: 'Single Family',
+    bedrooms: 3,
+    bathrooms: 2,
+    squareFootage: 1500,
+    yearBuilt: 1995,
+    status: 'Active',
+    price: 150000,
+    daysOnMarket: 10,
+    ...overrides,
+  };
+}
+
+/**
+ * A listing with a rent estimate and the market tags processMarket adds
+ */
+function rentedListing(overrides = {}) {
+  return {
+    marketId: 'test-market',
+    marketName: 'Test Market',
+    rentEstimate: 1500,
+    rentRangeLow: 1350,
+    rentRangeHigh: 1650,
+    ...listing(overrides),
+  };
+}
+
+/**
+ * A market definition searched by city
+ */
+function market(overrides = {}) {
+  return {
+    id: 'test-market',
+    name: 'Test Market',
+    cities: [{ city: 'Temple', state: 'TX' }],
+    zipCodes: ['76501', '76502'],
+    ...overrides,
+  };
+}
+
+/**
+ * Install a fake RentCast client that answers listing searches with
+ * `listings` and AVM lookups from `rents` (street -> monthly rent; streets
+ * not in `rents` get a 404 like an address RentCast doesn't know)
+ *
+ * @param {Object} responses - { listings: Array, rents: Object }
+ * @returns {Object} - The client, with `calls` recording each request
+ */
+function installFakeClient({ listings = [], rents = {} } = {}) {
+  const client = {
+    calls: [],
+    async get(url, { params } = {}) {
+      client.calls.push({ url, params });
+
+      if (url === '/listings/sale') {
+        return { status: 200, data: params.offset ? [] : listings };
+      }
+
+      const street = Object.keys(rents).find(s => params.address.startsWith(s));
+      if (street === undefined) {
+        const error = new Error('Request failed with status code 404');
+        error.response = { status: 404, data: {} };
+        throw error;
+      }
+      const rent = rents[street];
+      return { status: 200, data: { rent, rentRangeLow: rent * 0.9, rentRangeHigh: rent * 1.1 } };
+    },
+  };
+
+  rentcast.setClient(client);
+  rentcast.resetApiCallCount();
+  return client;
+}
+
+module.exports = {
+  setUp,
+  listing,
+  rentedListing,
+  market,
+  installFakeClient,
+};
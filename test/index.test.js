@@ -0,0 +1,319 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../src/config');
+const rentcast = require('../src/rentcast');
+const report = require('../src/report');
+const schema = require('../src/schema');
+const { validateMarketOutput } = schema;
+const { start, processMarket, validateOutput } = require('../src/index');
+const { setUp, listing, market, installFakeClient } = require('./helpers');
+
+before(setUp);
+after(() => rentcast.setClient(null));
+
+function startMarket(definition = market()) {
+  return report.startMarket(report.createRunReport('test'), definition);
+}
+
+describe('processMarket', () => {
+  it('runs listings through the funnel into a valid market file', async () => {
+    const client = installFakeClient({
+      listings: [
+        listing({ addressLine1: '1 Best St', price: 120000 }),
+        listing({ addressLine1: '2 Good St', price: 140000 }),
+        listing({ addressLine1: '3 Pricey St', price: 420000 }),
+        listing({ addressLine1: '4 No Sqft St', squareFootage: null }),
+      ],
+      rents: { '1 Best St': 1600, '2 Good St': 1500 },
+    });
+    const marketReport = startMarket();
+
+    const output = await processMarket(market(), marketReport);
+
+    assert.deepEqual(output.deals.map(d => d.address), ['1 Best St, Temple, TX 76501', '2 Good St, Temple, TX 76501']);
+    assert.equal(output.deals[0].marketId, 'test-market');
+    assert.deepEqual(marketReport.stages, {
+      rawListings: 4,
+      uniqueListings: 4,
+      passedHeuristic: 2,
+      candidates: 2,
+      withRentEstimates: 2,
+      topDeals: 2,
+    });
+    assert.deepEqual(marketReport.errors, []);
+    // One listing search, one AVM lookup per candidate
+    assert.equal(client.calls.filter(c => c.url === '/avm/rent/long-term').length, 2);
+    assert.deepEqual(validateMarketOutput(output), { valid: true, errors: [] });
+  });
+
+  it('returns an empty file with a warning for a market with no listings', async () => {
+    installFakeClient({ listings: [] });
+    const marketReport = startMarket();
+
+    const output = await processMarket(market(), marketReport);
+
+    assert.deepEqual(output.deals, []);
+    assert.deepEqual(marketReport.warnings, ['No listings found']);
+    assert.deepEqual(validateMarketOutput(output), { valid: true, errors: [] });
+  });
+
+  it('warns when no listing passes the heuristic filter', async () => {
+    installFakeClient({ listings: [listing({ addressLine1: '10 Missing Sqft St', squareFootage: null })] });
+    const marketReport = startMarket();
+
+    const output = await processMarket(market(), marketReport);
+
+    assert.deepEqual(output.deals, []);
+    assert.deepEqual(marketReport.warnings, ['No listings passed heuristic filter']);
+  });
+
+  it('leaves out properties with a zero or missing rent estimate', async () => {
+    installFakeClient({
+      listings: [
+        listing({ addressLine1: '20 Zero Rent St' }),
+        listing({ addressLine1: '21 Unknown St' }),
+        listing({ addressLine1: '22 Rented St' }),
+      ],
+      rents: { '20 Zero Rent St': 0, '22 Rented St': 1500 },
+    });
+    const marketReport = startMarket();
+
+    const output = await processMarket(market(), marketReport);
+
+    assert.deepEqual(output.deals.map(d => d.address), ['22 Rented St, Temple, TX 76501']);
+    assert.equal(marketReport.stages.withRentEstimates, 1);
+  });
+
+  it('warns when no candidate gets a rent estimate', async () => {
+    installFakeClient({ listings: [listing({ addressLine1: '30 Unknown St' })] });
+    const marketReport = startMarket();
+
+    const output = await processMarket(market(), marketReport);
+
+    assert.deepEqual(output.deals, []);
+    assert.deepEqual(marketReport.warnings, ['Could not get rent estimates']);
+  });
+
+  it('records an error and returns an empty file when the listing search fails', async () => {
+    rentcast.setClient({
+      async get() {
+        const error = new Error('Request failed with status code 401');
+        error.response = { status: 401, data: { message: 'Invalid API key' } };
+        throw error;
+      },
+    });
+    const marketReport = startMarket();
+
+    const output = await processMarket(market(), marketReport);
+
+    assert.deepEqual(output.deals, []);
+    assert.deepEqual(marketReport.errors, ['Request failed with status code 401']);
+  });
+
+  it('records an error without any API calls for an unknown ranking strategy', async () => {
+    const client = installFakeClient({ listings: [listing()], rents: { '100 Test St': 1500 } });
+    const marketReport = startMarket();
+
+    const output = await processMarket(market({ ranking: 'capRte' }), marketReport);
+
+    assert.deepEqual(output.deals, []);
+    assert.match(marketReport.errors[0], /Unknown ranking strategy "capRte"/);
+    assert.equal(client.calls.length, 0);
+    assert.deepEqual(validateMarketOutput(output), { valid: true, errors: [] });
+  });
+
+  it('does not save the rent cache or calibration when replaying', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'deal-analyzer-test-'));
+    const saved = { cache: { ...config.cache.rentEstimates }, calibration: { ...config.calibration } };
+    Object.assign(config.cache.rentEstimates, { enabled: true, file: path.join(dir, 'rent-estimates.json') });
+    Object.assign(config.calibration, { enabled: true, observationsFile: path.join(dir, 'rent-observations.json') });
+    config.api.replayDir = dir;
+    installFakeClient({ listings: [listing({ addressLine1: '50 Replayed St' })], rents: { '50 Replayed St': 1500 } });
+
+    try {
+      const output = await processMarket(market(), startMarket());
+
+      assert.equal(output.deals.length, 1);
+      assert.deepEqual(fs.readdirSync(dir), []);
+    } finally {
+      config.api.replayDir = null;
+      Object.assign(config.cache.rentEstimates, saved.cache);
+      Object.assign(config.calibration, saved.calibration);
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('skips properties an earlier market already claimed', async () => {
+    installFakeClient({
+      listings: [listing({ addressLine1: '40 Shared St' }), listing({ addressLine1: '41 Own St' })],
+      rents: { '40 Shared St': 1500, '41 Own St': 1500 },
+    });
+    const claimed = new Map();
+    await processMarket(market({ id: 'first-market', name: 'First Market' }), startMarket(), claimed);
+
+    installFakeClient({
+      listings: [listing({ addressLine1: '40 Shared St' }), listing({ addressLine1: '42 Other St' })],
+      rents: { '42 Other St': 1500 },
+    });
+    const marketReport = startMarket();
+    const output = await processMarket(market(), marketReport, claimed);
+
+    assert.deepEqual(output.deals.map(d => d.address), ['42 Other St, Temple, TX 76501']);
+    assert.equal(marketReport.stages.uniqueListings, 1);
+  });
+});
+
+describe('validateOutput', () => {
+  let dir;
+  let existingPath;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'deal-analyzer-test-'));
+    existingPath = path.join(dir, 'test-market-deals.json');
+  });
+
+  afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const fresh = deals => ({ market: { id: 'test-market' }, lastUpdated: 'now', deals });
+
+  it('keeps last week\'s file when the new data is empty', () => {
+    const existing = fresh([{ rank: 1, id: '1-old-st-76501' }]);
+    fs.writeFileSync(existingPath, JSON.stringify(existing));
+
+    assert.deepEqual(validateOutput(fresh([]), existingPath), existing);
+  });
+
+  it('uses new data that has deals', () => {
+    fs.writeFileSync(existingPath, JSON.stringify(fresh([{ rank: 1, id: '1-old-st-76501' }])));
+    const data = fresh([{ rank: 1, id: '2-new-st-76501' }]);
+
+    assert.equal(validateOutput(data, existingPath), data);
+  });
+
+  it('uses empty data when there is no previous file', () => {
+    const data = fresh([]);
+    assert.equal(validateOutput(data, existingPath), data);
+  });
+
+  it('uses empty data when the previous file was empty too', () => {
+    fs.writeFileSync(existingPath, JSON.stringify(fresh([])));
+    const data = fresh([]);
+
+    assert.equal(validateOutput(data, existingPath), data);
+  });
+});
+
+describe('start', () => {
+  let dir;
+  let saved;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'deal-analyzer-test-'));
+    saved = {
+      markets: config.markets,
+      profiles: config.profiles,
+      output: { ...config.output },
+      alerts: { ...config.alerts },
+      apiKey: process.env.RENTCAST_API_KEY,
+    };
+    config.profiles = [];
+    config.alerts.payloadFile = path.join(dir, 'alert-payload.json');
+    process.env.RENTCAST_API_KEY = 'test-key';
+  });
+
+  afterEach(() => {
+    config.markets = saved.markets;
+    config.profiles = saved.profiles;
+    Object.assign(config.output, saved.output);
+    Object.assign(config.alerts, saved.alerts);
+    if (saved.apiKey === undefined) delete process.env.RENTCAST_API_KEY;
+    else process.env.RENTCAST_API_KEY = saved.apiKey;
+    process.exitCode = undefined;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  // One run of src/index.js over both test markets, narrowed with --market
+  async function run(marketId, street, exitCode = undefined) {
+    config.markets = [market({ id: 'market-a', name: 'Market A' }), market({ id: 'market-b', name: 'Market B' })];
+    installFakeClient({ listings: [listing({ addressLine1: street })], rents: { [street]: 1500 } });
+    await start(['--market', marketId, '--output-dir', dir]);
+    assert.equal(process.exitCode, exitCode);
+  }
+
+  function readRunReport() {
+    return JSON.parse(fs.readFileSync(path.join(dir, 'run-report.json'), 'utf-8'));
+  }
+
+  it('keeps the markets a --market run left out in the combined exports', async () => {
+    await run('market-a', '1 First St');
+    await run('market-b', '2 Second St');
+
+    const combined = JSON.parse(fs.readFileSync(path.join(dir, config.output.combined.file), 'utf-8'));
+    assert.deepEqual(combined.markets.map(m => m.id), ['market-a', 'market-b']);
+    assert.deepEqual(combined.deals.map(d => d.marketId).sort(), ['market-a', 'market-b']);
+    assert.match(fs.readFileSync(path.join(dir, config.output.combined.csvFile), 'utf-8'), /1 First St/);
+  });
+
+  it('only reports stale data retained when a schema failure kept an earlier file', async () => {
+    const failSchema = () => mock.method(schema, 'validateMarketOutput', () => ({ valid: false, errors: ['/deals/0: test failure'] }));
+    const statuses = () => readRunReport().markets.map(m => [m.status, m.staleDataRetained]);
+
+    const first = failSchema();
+    try {
+      await run('market-a', '1 First St', 1);
+    } finally {
+      first.mock.restore();
+    }
+    assert.deepEqual(statuses(), [['failed', false]]);
+    assert.equal(fs.existsSync(path.join(dir, 'market-a-deals.json')), false);
+
+    process.exitCode = undefined;
+    await run('market-a', '1 First St');
+    const second = failSchema();
+    try {
+      await run('market-a', '2 Second St', 1);
+    } finally {
+      second.mock.restore();
+    }
+    assert.deepEqual(statuses(), [['failed', true]]);
+  });
+
+  it('warns on a profile when one of its markets failed to fetch', async () => {
+    config.profiles = [{ id: 'everywhere', name: 'Everywhere' }];
+    config.markets = [
+      market({ id: 'market-a', name: 'Market A' }),
+      market({ id: 'market-b', name: 'Market B', cities: [{ city: 'Belton', state: 'TX' }] }),
+    ];
+    const client = installFakeClient({ listings: [listing({ addressLine1: '1 First St' })], rents: { '1 First St': 1500 } });
+    const get = client.get;
+    client.get = async (url, request) => {
+      if (request.params.city === 'Belton') throw new Error('Request failed with status code 500');
+      return get(url, request);
+    };
+
+    await start(['--output-dir', dir]);
+
+    const [profile] = readRunReport().profiles;
+    assert.equal(profile.status, 'degraded');
+    assert.deepEqual(profile.warnings, ['No listings for Market B; deals cover the other markets only']);
+  });
+
+  it('only evaluates the profiles whose markets a --market run covered', async () => {
+    config.profiles = [
+      { id: 'a-only', name: 'A Only', markets: ['market-a'] },
+      { id: 'b-only', name: 'B Only', markets: ['market-b'] },
+      { id: 'everywhere', name: 'Everywhere' },
+    ];
+
+    await run('market-b', '2 Second St');
+
+    const written = fs.readdirSync(path.join(dir, 'profiles'));
+    assert.deepEqual(written, ['b-only-deals.json']);
+    const runReport = readRunReport();
+    assert.deepEqual(runReport.profiles.map(p => [p.id, p.status]), [['b-only', 'ok']]);
+    assert.equal(runReport.status, 'ok');
+  });
+});
@@ -0,0 +1,37 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { withinMarket } = require('../src/marketArea');
+const { listing } = require('./helpers');
+
+const salado = {
+  id: 'salado',
+  name: 'Salado',
+  zipCodes: ['76571'],
+  search: { by: 'radius', latitude: 30.9471, longitude: -97.5386, radius: 8 },
+};
+
+describe('withinMarket', () => {
+  it('keeps a radius listing inside the circle and the market\'s zip codes', () => {
+    assert.equal(withinMarket(listing({ zipCode: '76571', latitude: 30.95, longitude: -97.54 }), salado), true);
+  });
+
+  it('drops a radius listing inside the circle but in a neighboring market\'s zip code', () => {
+    // Belton, about 6 miles north of Salado
+    assert.equal(withinMarket(listing({ zipCode: '76513', latitude: 31.03, longitude: -97.5 }), salado), false);
+  });
+
+  it('drops a radius listing outside the circle', () => {
+    assert.equal(withinMarket(listing({ zipCode: '76571', latitude: 31.2, longitude: -97.54 }), salado), false);
+  });
+
+  it('uses only the circle for a market without zip codes', () => {
+    const circle = { ...salado, zipCodes: [] };
+    assert.equal(withinMarket(listing({ zipCode: '76513', latitude: 31.03, longitude: -97.5 }), circle), true);
+  });
+
+  it('keeps every listing a zip code search returns in the market\'s zip codes', () => {
+    const market = { zipCodes: ['76513'], search: 'zipCodes' };
+    assert.equal(withinMarket(listing({ zipCode: '76513' }), market), true);
+    assert.equal(withinMarket(listing({ zipCode: '76502' }), market), false);
+  });
+});
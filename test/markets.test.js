@@ -0,0 +1,26 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { validateMarkets } = require('../src/markets');
+const { setUp, market } = require('./helpers');
+
+before(setUp);
+
+describe('validateMarkets', () => {
+  it('accepts valid market definitions', () => {
+    assert.doesNotThrow(() => validateMarkets([market(), market({ id: 'other-market', name: 'Other Market', ranking: 'capRate' })]));
+  });
+
+  it('rejects an unknown ranking strategy before any API call', () => {
+    assert.throws(
+      () => validateMarkets([market({ ranking: 'capRte' })]),
+      /Market "test-market": Unknown ranking strategy "capRte"/,
+    );
+  });
+
+  it('lists every problem found', () => {
+    assert.throws(
+      () => validateMarkets([market({ ranking: { strategy: 'capRte' } }), market({ name: undefined })]),
+      error => error.message.includes('Unknown ranking strategy') && error.message.includes('duplicate id') && error.message.includes('missing name'),
+    );
+  });
+});
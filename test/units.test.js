@@ -0,0 +1,28 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const units = require('../src/units');
+const { setUp, listing } = require('./helpers');
+
+before(setUp);
+
+const duplex = overrides => listing({ propertyType: 'Multi-Family', bedrooms: 4, bathrooms: 2, squareFootage: 1800, ...overrides });
+
+describe('describeUnits', () => {
+  it('splits a multi-family listing by the unit count it lists', () => {
+    const { unitCount, source, units: layouts } = units.describeUnits(duplex({ unitCount: 2 }));
+    assert.equal(unitCount, 2);
+    assert.equal(source, 'listing');
+    assert.deepEqual(layouts[0], { bedrooms: 2, bathrooms: 1, squareFootage: 900 });
+  });
+
+  it('counts the per-unit layouts of an enriched listing, not the array itself', () => {
+    const enriched = duplex({ unitCount: 3, units: [{ bedrooms: 1 }, { bedrooms: 1 }, { bedrooms: 2 }] });
+    const { unitCount, source } = units.describeUnits(enriched);
+    assert.equal(unitCount, 3);
+    assert.equal(source, 'listing');
+  });
+
+  it('treats a single-family home as one unit', () => {
+    assert.equal(units.describeUnits(listing()).unitCount, 1);
+  });
+});